@@ -0,0 +1,111 @@
+/**
+ * 远程嘟文获取
+ * 用于补全存档中只有链接的转嘟，以及经由自己所在实例抓取远程账户：可通过自己所在实例搜索（需登录）、嘟文所在实例的 Mastodon API，
+ * 或直接请求 ActivityPub JSON（适用于 Misskey、Pleroma 等其他软件）。
+ * 所有请求经过 scheduledFetch，遵守速率限制并支持停止。
+ */
+
+import { scheduledFetch } from './scheduler.js';
+
+const AP_ACCEPT = 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+
+// 对方明确表示已删除（不存在）的状态码
+const GONE_STATUSES = [404, 410];
+
+// 读取 JSON；服务器忽略 Accept 返回 HTML 时视为失败
+const readJson = async (res) => {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 解析 Mastodon 格式的嘟文链接
+ * @param {string} url - https://host/users/name/statuses/123 或 https://host/@name/123
+ * @returns {{host: string, id: string}|null}
+ */
+export const parseMastodonStatusUrl = (url) => {
+  try {
+    const u = new URL(url);
+    const match = u.pathname.match(/^\/users\/[^/]+\/statuses\/(\d+)\/?$/) || u.pathname.match(/^\/@[^/]+\/(\d+)\/?$/);
+    return match ? { host: u.host, id: match[1] } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 请求 ActivityPub 对象（Note、Person 等）
+ * @param {string} url - 对象 ID
+ * @param {Object} [options] - scheduledFetch 的选项
+ * @returns {Promise<{data: Object|null, gone: boolean}|null>} 被停止时返回 null
+ */
+export const fetchActivityPubObject = async (url, options = {}) => {
+  const res = await scheduledFetch(url, { headers: { Accept: AP_ACCEPT } }, options);
+  if (!res) return null;
+  if (!res.ok) return { data: null, gone: GONE_STATUSES.includes(res.status) };
+  return { data: await readJson(res), gone: false };
+};
+
+/**
+ * 通过嘟文所在实例的 Mastodon API 获取嘟文（仅适用于 Mastodon 格式的链接）
+ * @param {string} url - 嘟文链接
+ * @param {Object} [options] - scheduledFetch 的选项
+ * @returns {Promise<{status: Object|null, gone: boolean}|null>} 被停止时返回 null
+ */
+export const fetchStatusFromOrigin = async (url, options = {}) => {
+  const parsed = parseMastodonStatusUrl(url);
+  if (!parsed) return { status: null, gone: false };
+  const res = await scheduledFetch(`https://${parsed.host}/api/v1/statuses/${parsed.id}`, {}, options);
+  if (!res) return null;
+  if (!res.ok) return { status: null, gone: GONE_STATUSES.includes(res.status) };
+  const status = await readJson(res);
+  return { status: status && status.id ? status : null, gone: false };
+};
+
+/**
+ * 在自己所在的实例上搜索并解析远程嘟文（resolve=true 需要 Token）
+ * @param {string} domain - 自己所在的实例
+ * @param {string} url - 嘟文链接
+ * @param {string} token - Access Token
+ * @param {Object} [options] - scheduledFetch 的选项
+ * @returns {Promise<{status: Object|null}|null>} 被停止时返回 null
+ */
+export const searchStatusOnInstance = async (domain, url, token, options = {}) => {
+  const query = new URLSearchParams({ q: url, type: 'statuses', resolve: 'true', limit: '1' });
+  const res = await scheduledFetch(`https://${domain}/api/v2/search?${query.toString()}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  }, options);
+  if (!res) return null;
+  if (!res.ok) return { status: null };
+  const data = await readJson(res);
+  return { status: data?.statuses?.[0] || null };
+};
+
+/**
+ * 在自己所在的实例上搜索并解析远程账户（resolve=true 需要 Token）
+ * @param {string} domain - 自己所在的实例
+ * @param {string} acct - 账户地址 user@host
+ * @param {string} token - Access Token
+ * @param {Object} [options] - scheduledFetch 的选项
+ * @returns {Promise<{account: Object|null}|null>} 被停止时返回 null
+ */
+export const searchAccountOnInstance = async (domain, acct, token, options = {}) => {
+  const query = new URLSearchParams({ q: `@${acct}`, type: 'accounts', resolve: 'true', limit: '5' });
+  const res = await scheduledFetch(`https://${domain}/api/v2/search?${query.toString()}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  }, options);
+  if (!res) return null;
+  if (res.status === 401 || res.status === 403) throw new Error(`${domain} 的 Token 无效或已过期`);
+  if (!res.ok) return { account: null };
+  const data = await readJson(res);
+  // 远程账户的 acct 为 user@host，本站账户只有 user；按完整地址精确匹配，避免搜到同名账户
+  const target = acct.toLowerCase();
+  const account = (data?.accounts || []).find((a) => {
+    const full = (a.acct || '').includes('@') ? a.acct : `${a.acct}@${domain}`;
+    return full.toLowerCase() === target;
+  }) || null;
+  return { account };
+};
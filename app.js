@@ -1,6 +1,91 @@
-import { parseMastodonUrl, formatDate, downloadJson } from './utils.js';
-import { parseMisskeyUrl, getAllNotesData, getUserId, getInstanceEmojis } from './missky.js';
+import { parseMastodonUrl, formatDate, formatDuration, getMediaTypeFromMime, downloadJson, downloadBlob, parseLinkHeader } from './utils.js';
+import {
+  parseMisskeyUrl,
+  getAllNotes,
+  getUserId,
+  getInstanceEmojis,
+  createApiError,
+  isMisskeyAuthError,
+  isMisskeyNotesExport,
+  getNoteContext,
+} from './missky.js';
 import { icons } from './icons.js';
+import {
+  migrateLocalStorage,
+  listCachedAccounts,
+  getCachedAccount,
+  saveCachedAccount,
+  deleteCachedAccount,
+  appendStatuses,
+  clearStatuses,
+  replaceStatuses,
+  iterateStatuses,
+  loadStatuses,
+  loadEmojis,
+  saveEmojis,
+  loadViewedIds,
+  saveViewedIds,
+  loadReviews,
+  saveReviews,
+  putStatus,
+  putStatuses,
+  loadRemoteStatuses,
+  saveRemoteStatus,
+  loadThread,
+  saveThread,
+} from './storage.js';
+import {
+  PICK_STRATEGIES,
+  DEFAULT_STRATEGY,
+  isValidStrategy,
+  weightedChoice,
+  getStrategyCandidates,
+  chooseWithStrategy,
+  nextReview,
+  getNextReviewAt,
+} from './strategies.js';
+import { filterStatuses } from './query.js';
+import { scheduledFetch } from './scheduler.js';
+import { openZip, readZipEntryBlob, readZipEntryText } from './zip.js';
+import {
+  fetchActivityPubObject,
+  fetchStatusFromOrigin,
+  searchStatusOnInstance,
+  searchAccountOnInstance,
+  parseMastodonStatusUrl,
+} from './activitypub.js';
+import { resolveAccountInput } from './webfinger.js';
+import { toggleInteraction, postReply, isPermissionError } from './interactions.js';
+import { fetchStatusesByIds, REFRESH_BATCH_SIZE } from './refresh.js';
+import { blurhashToDataUrl } from './blurhash.js';
+import { escapeHtml, safeUrl, sanitizeHtml } from './sanitize.js';
+import { renderMfm, extractMfmMentions } from './mfm.js';
+import {
+  detectPlatform,
+  isMastodonCompatible,
+  requiresToken,
+  pagesMayBeShort,
+  normalizeStatus,
+} from './platforms.js';
+import {
+  getRedirectUri,
+  startAuthorization,
+  readCallbackParams,
+  completeAuthorization,
+  findRegisteredApp,
+  hasWriteScope,
+} from './oauth.js';
+import {
+  loadTokens,
+  unlockTokens,
+  persistTokens,
+  isEncrypted,
+  isLocked,
+  enableEncryption,
+  disableEncryption,
+  verifyToken,
+  revokeToken,
+} from './credentials.js';
 
 // Global keyboard handler for fullscreen images
 let keyboardHandler = null;
@@ -31,17 +116,33 @@ const setupKeyboardNavigation = () => {
 let state = {
   mode: 'url',
   platform: 'auto', // 兼容字段，已自动判定
-  platformLocked: null, // 记录首次抓取的平台，后续沿用
+  platformLocked: null, // 记录首次抓取的平台（'mastodon' | 'pleroma' | 'gotosocial' | 'misskey'），后续沿用
   urlInput: '',
   showTutorial: false,
   loading: false,
   fetchType: null, // 'initial' | 'older' | 'newer' | null
   fetchCount: 0,
+  fetchNotice: null, // 速率限制/重试等待提示
+  enrichment: null, // 补全转嘟进度 { total, done, resolved, failed, isPaused }
+  refresh: null, // 刷新嘟文进度 { total, done, updated, removed, failed, isPaused }
+  thread: null, // 当前嘟文的对话上下文 { key, loading, error, ancestors, descendants }
+  interaction: null, // 当前嘟文的互动状态 { key, pending, error, notice }
+  replyDraft: null, // 回复草稿 { key, text, sending }
+  crawlCursor: null, // 未完成抓取的续传游标 { direction: 'older' | 'newer', anchorId, updatedAt }，随账户保存
   error: null,
   currentAccount: null,
   allStatuses: [],
+  isCached: false, // 当前数据是否已写入 IndexedDB 缓存（导入的数据不缓存）
+  library: [], // 本地账户库：已缓存账户的元数据及已读进度
+  librarySelection: new Set(), // 账户库中勾选用于混合随机的账户 ID
+  mixedWeighting: 'equal', // 混合随机池权重：'equal' | 'count'
+  mixedPool: null, // 混合随机池：{ sources: [{ id, account, platform, statuses, viewedIds }] }
+  currentSourceId: null, // 混合模式下当前嘟文所属账户
   currentStatus: null,
   viewedIds: new Set(),
+  reviews: {}, // 间隔重温的复习记录 { statusId: { lastSeenAt, interval, count } }
+  pickStrategy: DEFAULT_STRATEGY, // 抽取策略，随账户保存
+  sensitiveMedia: 'default', // 敏感媒体：'default' | 'show_all' | 'hide_all'，随账户保存
   customEmojis: [], // Store custom emojis for current instance
   misskeyEmojis: {}, // Store Misskey custom emojis (object format)
   // 抓取配置 (Fetch Settings)
@@ -51,6 +152,7 @@ let state = {
     mode: 'all', // 'all' | 'limit_count' | 'limit_date'
     limitCount: 100,
     limitDate: new Date().toISOString().slice(0, 10),
+    viaInstance: '', // 经由自己所在的实例抓取（域名，需已保存 Token）；空字符串表示直接请求对方实例
   },
   // 显示筛选 (Display Filters - 抓取后生效)
   displayFilter: {
@@ -58,7 +160,11 @@ let state = {
     endDate: '',
     showReplies: true,
     showReblogs: true,
+    showDirect: false, // 私信默认不进入随机池
+    query: '', // 查询框：关键词、#标签、has:media 等，语法见 query.js
   },
+  queryResults: null, // 结果列表：[{ status, source }]，null 表示未打开
+  queryResultsLimit: 20, // 结果列表当前显示的条数
   showFilters: false, // 是否展开筛选面板
   // 暂停控制
   isPaused: false,
@@ -67,7 +173,18 @@ let state = {
   tokenRequest: {
     visible: false,
     domain: null,
+    platform: null, // 'mastodon' | 'pleroma' | 'gotosocial' | 'misskey'，决定使用 OAuth 还是 MiAuth 登录
+    write: false, // 是否需要互动（喜欢、转嘟、收藏、回复）所需的写入权限
+    previousToken: null, // 弹出时已有的（失效）Token，用于判断授权弹窗是否保存了新 Token
+    authorizing: false,
+    error: null,
   },
+  authNotice: null, // 登录授权完成提示
+  // 凭据管理
+  showCredentials: false,
+  tokensLocked: false, // 凭据已加密且本次会话尚未解锁
+  credentialChecks: {}, // 校验结果 { 域名: { loading, platform, account, scopes, appName, error } }
+  credentialsError: null,
 };
 
 // 使用Ref在循环中即时读取（纯JS中用变量代替）
@@ -76,66 +193,349 @@ let stopRef = false;
 let tokenRequestResolver = null;
 let tokenRequestRejecter = null;
 
-// Helper to load history
-const loadHistory = (accountId) => {
-  const storageKey = `seen_statuses_${accountId}`;
-  const savedHistory = localStorage.getItem(storageKey);
-  if (savedHistory) {
-    state.viewedIds = new Set(JSON.parse(savedHistory));
-  } else {
+// 请求需要等待（速率限制、服务器错误、网络错误）时提示用户
+const notifyFetchWait = (delayMs, reason) => {
+  const seconds = Math.ceil(delayMs / 1000);
+  const reasonText = reason === 'rate-limit' ? '触发实例速率限制' : reason === 'network' ? '网络错误' : '服务器暂时不可用';
+  state.fetchNotice = `${reasonText}，${seconds} 秒后自动重试...`;
+  render();
+};
+
+const clearFetchNotice = () => {
+  if (!state.fetchNotice) return;
+  state.fetchNotice = null;
+  render();
+};
+
+// 抓取循环共用的调度选项
+const crawlRequestOptions = () => ({
+  shouldStop: () => stopRef,
+  onWait: notifyFetchWait,
+});
+
+// 保存续传游标（写入账户元数据，刷新页面后仍可从中断处继续）；cursor 为 null 表示抓取已完整结束
+const setCrawlCursor = async (accountId, cursor) => {
+  state.crawlCursor = cursor ? { ...cursor, updatedAt: new Date().toISOString() } : null;
+  if (!state.isCached) return;
+  try {
+    const changes = { crawlCursor: state.crawlCursor };
+    if (state.currentAccount) {
+      // 中途刷新页面时也能在账户库中找到该账户
+      changes.account = state.currentAccount;
+      changes.platform = state.platformLocked || state.platform;
+    }
+    await saveCachedAccount(accountId, changes);
+  } catch (e) {
+    console.warn('Failed to save crawl cursor:', e);
+  }
+};
+
+// Helper to load history（已读记录与复习记录）
+const loadHistory = async (accountId) => {
+  try {
+    state.viewedIds = await loadViewedIds(accountId);
+    state.reviews = await loadReviews(accountId);
+  } catch (e) {
+    console.warn('Failed to load history:', e);
     state.viewedIds = new Set();
+    state.reviews = {};
   }
 };
 
-// Helper to save history
+// Helper to save history（异步写入 IndexedDB，不阻塞界面）
 const saveHistory = (accountId, ids) => {
-  const storageKey = `seen_statuses_${accountId}`;
-  localStorage.setItem(storageKey, JSON.stringify(Array.from(ids)));
+  saveViewedIds(accountId, ids).catch((e) => {
+    console.warn('Failed to save history:', e);
+  });
 };
 
-// Load/save access tokens (per domain)
-const loadAuthTokens = () => {
+// Helper to save review records（异步写入 IndexedDB）
+const saveReviewHistory = (accountId, reviews) => {
+  saveReviews(accountId, reviews).catch((e) => {
+    console.warn('Failed to save review history:', e);
+  });
+};
+
+// 抓取过程中逐批写入 IndexedDB；reset 为 true 时先清空该账户旧的嘟文
+const cacheStatusBatch = async (accountId, statuses, { prepend = false, reset = false } = {}) => {
   try {
-    const raw = localStorage.getItem('instance_tokens');
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      if (parsed && typeof parsed === 'object') {
-        state.authTokens = parsed;
-      }
+    if (!reset && !state.isCached) {
+      // 数据来自导入、尚未缓存：此时 allStatuses 已包含本批，整体写入一次
+      await replaceStatuses(accountId, state.allStatuses);
+    } else {
+      if (reset) await clearStatuses(accountId);
+      await appendStatuses(accountId, statuses, { prepend });
     }
-  } catch {
-    state.authTokens = {};
+    state.isCached = true;
+  } catch (e) {
+    console.warn('Failed to cache statuses:', e);
   }
 };
 
-const saveAuthToken = (domain, token) => {
-  if (!domain || !token) return;
-  state.authTokens[domain] = token;
-  try {
-    localStorage.setItem('instance_tokens', JSON.stringify(state.authTokens));
-  } catch {
-    // ignore quota errors
+// Load/save access tokens (per domain)
+// 凭据为 { token, platform, source, clientId, scopes, savedAt }；设置口令后加密保存，见 credentials.js
+const loadAuthTokens = () => {
+  state.authTokens = loadTokens();
+  state.tokensLocked = isLocked();
+};
+
+const persistAuthTokens = () => {
+  if (state.tokensLocked) {
+    // 加密数据尚未解锁，无法合并写入；新 Token 仅在本次会话中有效
+    console.warn('Saved tokens are locked; new token kept in memory only');
+    return;
   }
+  persistTokens(state.authTokens).catch((e) => {
+    console.warn('Failed to save tokens:', e);
+  });
+};
+
+const saveAuthToken = (domain, token, details = {}) => {
+  if (!domain || !token) return;
+  state.authTokens[domain] = {
+    ...details,
+    token,
+    savedAt: new Date().toISOString(),
+  };
+  delete state.credentialChecks[domain];
+  persistAuthTokens();
+};
+
+const deleteAuthToken = (domain) => {
+  delete state.authTokens[domain];
+  delete state.credentialChecks[domain];
+  persistAuthTokens();
 };
 
 const getAuthToken = (domain) => {
   if (!domain) return null;
-  return state.authTokens[domain] || null;
+  return state.authTokens[domain]?.token || null;
 };
 
 // Prompt user for token when API requires authentication
-const promptForToken = async (domain) => {
+// write: 请求带写入权限的 Token（用于互动）
+const promptForToken = async (domain, platform = 'mastodon', { write = false } = {}) => {
   return new Promise((resolve, reject) => {
-    state.tokenRequest = { visible: true, domain };
+    state.tokenRequest = {
+      visible: true,
+      domain,
+      platform,
+      write,
+      previousToken: getAuthToken(domain),
+      authorizing: false,
+      error: null,
+    };
     tokenRequestResolver = resolve;
     tokenRequestRejecter = reject;
     render();
   });
 };
 
+// 保存 Token 并继续等待中的请求
+const resolveTokenRequest = (token, details = { source: 'manual' }) => {
+  saveAuthToken(state.tokenRequest.domain, token, { platform: state.tokenRequest.platform, ...details });
+  state.tokenRequest = { visible: false, domain: null };
+  const resolver = tokenRequestResolver;
+  tokenRequestResolver = null;
+  tokenRequestRejecter = null;
+  render();
+  if (resolver) resolver(token);
+};
+
+// 以本地保存的 Token 调用 Misskey API；需要认证时弹出 Token 对话框，保存后重试
+const callMisskeyWithAuth = async (domain, request) => {
+  try {
+    return await request(getAuthToken(domain));
+  } catch (err) {
+    if (!isMisskeyAuthError(err)) throw err;
+    const token = await promptForToken(domain, 'misskey');
+    return request(token);
+  }
+};
+
+// 应用内登录：弹窗打开实例的授权页面；弹窗被拦截时整页跳转
+// 授权页面回调到本页后由 handleOAuthCallback 换取 Token，弹窗通过 postMessage 交回本窗口（Token 不落地到凭据存储以外的地方）
+const startOAuthLogin = async () => {
+  const { domain, platform, write } = state.tokenRequest;
+  if (!domain) return;
+  state.tokenRequest = { ...state.tokenRequest, authorizing: true, error: null };
+  render();
+
+  let authorizeUrl;
+  try {
+    authorizeUrl = await startAuthorization(domain, platform || 'mastodon', { write: !!write });
+  } catch (e) {
+    state.tokenRequest = { ...state.tokenRequest, authorizing: false, error: e.message };
+    render();
+    return;
+  }
+
+  const popup = window.open(authorizeUrl, 'oauth-login', 'width=600,height=720');
+  if (!popup) {
+    window.location.href = authorizeUrl;
+    return;
+  }
+
+  // 弹窗被关闭但没有拿到 Token 时，恢复登录按钮
+  const closedTimer = setInterval(() => {
+    if (!popup.closed) return;
+    clearInterval(closedTimer);
+    setTimeout(() => {
+      if (state.tokenRequest.visible && state.tokenRequest.authorizing) {
+        state.tokenRequest = { ...state.tokenRequest, authorizing: false };
+        render();
+      }
+    }, 1000);
+  }, 500);
+};
+
+// 授权回调（弹窗或整页跳转回来）：换取 Token
+// 弹窗中不直接保存（凭据可能已加密且未解锁），交给打开它的窗口保存并继续等待中的请求
+const handleOAuthCallback = async () => {
+  const params = readCallbackParams(window.location.search);
+  if (!params) return;
+  // 清理地址栏中的授权参数
+  window.history.replaceState(null, '', getRedirectUri());
+  try {
+    const { domain, platform, token, clientId, scopes } = await completeAuthorization(params);
+    const details = { platform, source: 'oauth', clientId, scopes };
+    if (window.name === 'oauth-login' && window.opener && !window.opener.closed) {
+      window.opener.postMessage({ type: 'oauth_result', domain, token, details }, window.location.origin);
+      window.close();
+      return;
+    }
+    saveAuthToken(domain, token, details);
+    state.authNotice = state.tokensLocked
+      ? `已完成 ${domain} 的登录授权。已保存的 Token 处于加密锁定状态，新 Token 仅在本次会话中有效。`
+      : `已完成 ${domain} 的登录授权，Token 已保存在本地浏览器。`;
+  } catch (e) {
+    state.error = e.message;
+  }
+  render();
+};
+
+// 授权弹窗交回 Token 时保存，并继续等待中的请求；只接受同源窗口发来的消息
+window.addEventListener('message', (event) => {
+  if (event.origin !== window.location.origin) return;
+  const result = event.data;
+  if (!result || result.type !== 'oauth_result' || !result.domain || !result.token) return;
+  if (state.tokenRequest.visible && state.tokenRequest.domain === result.domain) {
+    resolveTokenRequest(result.token, result.details);
+  } else {
+    saveAuthToken(result.domain, result.token, result.details);
+    render();
+  }
+});
+
+// 其他标签页修改了凭据时同步
+window.addEventListener('storage', (event) => {
+  if (event.key === 'instance_tokens' && !isEncrypted()) {
+    loadAuthTokens();
+  }
+});
+
 // 初始化读取本地存储的 Token
 loadAuthTokens();
 
+// 凭据管理：校验 Token，显示所属账户与权限
+const checkCredential = async (domain) => {
+  const entry = state.authTokens[domain];
+  if (!entry) return;
+  state.credentialChecks[domain] = { loading: true };
+  render();
+  try {
+    const result = await verifyToken(domain, entry);
+    state.credentialChecks[domain] = { loading: false, ...result };
+    // 记下识别出的平台，之后校验与撤销无需再猜
+    if (!entry.platform) {
+      entry.platform = result.platform;
+      persistAuthTokens();
+    }
+  } catch (e) {
+    state.credentialChecks[domain] = { loading: false, error: e.message };
+  }
+  render();
+};
+
+const removeCredential = (domain) => {
+  if (!window.confirm(`确定删除 ${domain} 的本地 Token 吗？（不会在服务器上撤销授权）`)) return;
+  deleteAuthToken(domain);
+  render();
+};
+
+const revokeCredential = async (domain) => {
+  const entry = state.authTokens[domain];
+  if (!entry) return;
+  if (!window.confirm(`确定在 ${domain} 上撤销该 Token 吗？撤销后需要重新登录授权。`)) return;
+  try {
+    await revokeToken(domain, entry, findRegisteredApp(domain, entry.clientId));
+    deleteAuthToken(domain);
+    state.credentialsError = null;
+  } catch (e) {
+    if (entry.platform === 'misskey') {
+      // 部分 Misskey 实例只允许网页会话调用撤销接口，此时仍删除本地 Token，并提示到实例上手动移除授权
+      deleteAuthToken(domain);
+      state.credentialsError = `${e.message}。已删除本地 Token，但服务器上的授权可能仍然有效，请在 ${domain} 的设置页面中手动删除该授权。`;
+    } else {
+      state.credentialsError = e.message;
+    }
+  }
+  render();
+};
+
+// 手动添加或替换某个实例的 Token
+const addCredential = (domainInput, token) => {
+  const domain = domainInput.trim().replace(/^https?:\/\//i, '').split('/')[0].toLowerCase();
+  if (!domain || !token) {
+    state.credentialsError = '请填写实例域名和 Token';
+    render();
+    return;
+  }
+  state.credentialsError = null;
+  saveAuthToken(domain, token, { source: 'manual' });
+  checkCredential(domain);
+};
+
+const unlockCredentials = async (passphrase) => {
+  try {
+    const unlocked = await unlockTokens(passphrase);
+    // 合并锁定期间本次会话中新增的 Token
+    state.authTokens = { ...unlocked, ...state.authTokens };
+    state.tokensLocked = false;
+    state.credentialsError = null;
+    persistAuthTokens();
+  } catch (e) {
+    state.credentialsError = e.message;
+  }
+  render();
+};
+
+const setCredentialsPassphrase = async (passphrase, confirmation) => {
+  if (!passphrase || passphrase !== confirmation) {
+    state.credentialsError = '两次输入的口令不一致';
+    render();
+    return;
+  }
+  try {
+    await enableEncryption(passphrase, state.authTokens);
+    state.credentialsError = null;
+  } catch (e) {
+    state.credentialsError = e.message;
+  }
+  render();
+};
+
+const clearCredentialsPassphrase = async () => {
+  if (!window.confirm('取消口令后 Token 将以明文保存在本地浏览器中，确定吗？')) return;
+  try {
+    await disableEncryption(state.authTokens);
+    state.credentialsError = null;
+  } catch (e) {
+    state.credentialsError = e.message;
+  }
+  render();
+};
+
 // Extract domain from account URL
 const extractDomainFromAccount = (account) => {
   try {
@@ -168,6 +568,7 @@ const fetchMisskeyBatch = async ({
   token = null,
   shouldStop = () => false,
   shouldPause = () => false,
+  onWait = null,
 }) => {
   // 简单轮询暂停/停止
   if (shouldStop()) return [];
@@ -187,12 +588,14 @@ const fetchMisskeyBatch = async ({
   if (token) body.i = token;
 
   const apiUrl = `https://${domain}/api/users/notes`;
-  const res = await fetch(apiUrl, {
+  const res = await scheduledFetch(apiUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
-  });
-  if (!res.ok) throw new Error('Misskey API 请求失败: ' + res.statusText);
+  }, { shouldStop, onWait });
+  // 等待重试期间被停止
+  if (!res) return [];
+  if (!res.ok) throw await createApiError(res, '获取帖子失败');
   const notes = await res.json();
   if (!Array.isArray(notes)) throw new Error('Misskey 返回格式不正确');
   return notes;
@@ -203,7 +606,11 @@ const shouldHideStatus = (status) => {
   const hasReblog = !!status.reblog;
   const content = status.content || '';
   const isPlaceholder = content.includes('此内容需要登录才能查看');
-  const isEmpty = content.trim() === '';
+  // 附件、投票与内容警告同样算作内容（Misskey 的纯投票、纯附件或只有 CW 的帖子）
+  const isEmpty = content.trim() === ''
+    && (status.media_attachments || []).length === 0
+    && !status.poll
+    && !(status.spoiler_text || '').trim();
   // 仅当没有转发内容且自身为空/占位时才隐藏
   return !hasReblog && (isPlaceholder || isEmpty);
 };
@@ -242,6 +649,26 @@ const mergeMisskeyEmojisFromNote = (note) => {
 };
 
 // Convert Misskey Note to Mastodon-like Status format
+// Misskey 投票 { multiple, expiresAt, choices: [{ text, votes, isVoted }] } → Mastodon 投票格式
+const convertMisskeyPoll = (note) => {
+  const poll = note.poll;
+  if (!poll || !Array.isArray(poll.choices)) return null;
+  const votesCount = poll.choices.reduce((sum, choice) => sum + (choice.votes || 0), 0);
+  const ownVotes = poll.choices.map((choice, index) => (choice.isVoted ? index : -1)).filter(index => index >= 0);
+  return {
+    id: note.id,
+    expires_at: poll.expiresAt || null,
+    expired: !!poll.expiresAt && new Date(poll.expiresAt).getTime() < Date.now(),
+    multiple: !!poll.multiple,
+    votes_count: votesCount,
+    voters_count: null, // Misskey 不提供投票人数
+    voted: ownVotes.length > 0,
+    own_votes: ownVotes,
+    options: poll.choices.map(choice => ({ title: choice.text, votes_count: choice.votes || 0 })),
+    emojis: [],
+  };
+};
+
 const convertMisskeyNoteToStatus = (note, domain) => {
   // Handle renote (转发)
   const isRenote = note.renoteId !== null && note.renoteId !== undefined;
@@ -268,7 +695,7 @@ const convertMisskeyNoteToStatus = (note, domain) => {
   // Convert files to media_attachments
   const media_attachments = (displayNote.files || []).map(file => ({
     id: file.id,
-    type: file.type?.startsWith('image/') ? 'image' : file.type?.startsWith('video/') ? 'video' : 'unknown',
+    type: getMediaTypeFromMime(file.type),
     url: file.url,
     preview_url: file.thumbnailUrl || file.url,
     description: file.comment || '',
@@ -290,15 +717,11 @@ const convertMisskeyNoteToStatus = (note, domain) => {
     content = latestHistory.text || '';
   }
   
-  // 如果仍然为空且无转发/回复内容，直接丢弃
-  if (!content && !isRenote && !isReply) {
+  // 如果仍然为空且无转发/回复内容（也不是投票、纯附件或只有内容警告），直接丢弃
+  if (!content && !isRenote && !isReply && !displayNote.poll && !displayNote.cw && media_attachments.length === 0) {
     return null;
   }
   
-  if (displayNote.cw) {
-    content = `<details><summary>${displayNote.cw}</summary>${content}</details>`;
-  }
-  
   // Build URL
   const noteUrl = displayNote.url || `https://${domain}/notes/${displayNote.id}`;
   
@@ -312,7 +735,7 @@ const convertMisskeyNoteToStatus = (note, domain) => {
     in_reply_to_id: note.replyId,
     in_reply_to_account_id: note.reply?.userId || null,
     sensitive: displayNote.files?.some(f => f.isSensitive) || false,
-    spoiler_text: displayNote.cw || '',
+    spoiler_text: displayNote.cw || '', // 内容警告由 renderStatusCard 统一折叠显示
     visibility: note.visibility || 'public', // 使用外层帖子的可见性
     language: null,
     uri: note.uri || outerNoteUrl,
@@ -320,14 +743,22 @@ const convertMisskeyNoteToStatus = (note, domain) => {
     replies_count: note.repliesCount || 0,
     reblogs_count: note.renoteCount || 0,
     favourites_count: note.reactionCount || 0,
-    favourited: false,
+    edited_at: displayNote.updatedAt || null, // Sharkey 等支持编辑的分支才有 updatedAt
+    favourited: !!note.myReaction, // 使用 Token 抓取时才有 myReaction
     reblogged: false,
     muted: false,
     bookmarked: false,
     pinned: false,
     content: content,
+    content_type: 'text/x.misskeymarkdown', // 正文为 MFM，显示时由 renderMfm 转为 HTML
     reblog: isRenote && note.renote ? convertMisskeyNoteToStatus(note.renote, domain) : null,
     reply: note.reply ? convertMisskeyNoteToStatus(note.reply, domain) : null,
+    // 表情回应：{ ':name@.:': 3, '👍': 1 } → [{ name, count, url }]
+    reactions: Object.entries(displayNote.reactions || {}).map(([name, count]) => ({
+      name,
+      count,
+      url: displayNote.reactionEmojis?.[name.replace(/^:|:$/g, '')] || null,
+    })),
     // 外层账户（转发者）
     account: {
       id: outerUser.id,
@@ -353,11 +784,11 @@ const convertMisskeyNoteToStatus = (note, domain) => {
       fields: []
     },
     media_attachments: media_attachments,
-    mentions: [],
+    mentions: extractMfmMentions(content, (note.text ? outerUser.host : displayUser.host) || domain),
     tags: (displayNote.tags || []).map(tag => ({ name: tag, url: `https://${domain}/tags/${tag}` })),
     emojis: [],
     card: null,
-    poll: null
+    poll: convertMisskeyPoll(displayNote),
   };
   
   return status;
@@ -388,35 +819,85 @@ const escapeEmojiNameForRegex = (name) => {
   return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+// 只替换标签之外的文字，避免把表情插进链接地址等属性中
+// replacement 来自远程数据（表情地址），用函数传入，避免其中的 $&、$` 等被当作替换模式
+const replaceOutsideTags = (html, regex, replacement) => html
+  .split(/(<[^>]*>)/)
+  .map(part => (part.startsWith('<') ? part : part.replace(regex, () => replacement)))
+  .join('');
+
+const renderEmojiImg = (shortcode, url) => `<img src="${safeUrl(url)}" alt=":${escapeHtml(shortcode)}:" class="custom-emoji inline-block h-5 w-5 align-text-bottom" title=":${escapeHtml(shortcode)}:">`;
+
 // Replace custom emoji shortcodes with images in content
-const replaceCustomEmojis = (content) => {
+// content 必须是已清理或转义过的 HTML（见 renderText / renderStatusContent）
+// emojis: 嘟文或账户自带的表情（Mastodon API 与存档中都有），优先于实例表情列表，离线时也能显示
+const replaceCustomEmojis = (content, emojis = []) => {
   if (!content) return content;
   
   let processedContent = content;
+  // 已由自带表情替换过的短码不再处理，避免替换到 <img> 的 alt 中
+  const replaced = new Set();
+
+  (emojis || []).forEach(emoji => {
+    if (!emoji || !emoji.shortcode || !(emoji.static_url || emoji.url)) return;
+    replaced.add(emoji.shortcode);
+    const escapedName = escapeEmojiNameForRegex(emoji.shortcode);
+    const regex = new RegExp(`:${escapedName}:`, 'g');
+    processedContent = replaceOutsideTags(processedContent, regex, renderEmojiImg(emoji.shortcode, emoji.static_url || emoji.url));
+  });
   
   // Mastodon emojis (array format)
   if (state.customEmojis && state.customEmojis.length > 0) {
     state.customEmojis.forEach(emoji => {
+      if (replaced.has(emoji.shortcode)) return;
       const escapedName = escapeEmojiNameForRegex(emoji.shortcode);
       const regex = new RegExp(`:${escapedName}:`, 'g');
-      const emojiImg = `<img src="${emoji.static_url || emoji.url}" alt=":${emoji.shortcode}:" class="custom-emoji inline-block h-5 w-5 align-text-bottom" title=":${emoji.shortcode}:">`;
-      processedContent = processedContent.replace(regex, emojiImg);
+      processedContent = replaceOutsideTags(processedContent, regex, renderEmojiImg(emoji.shortcode, emoji.static_url || emoji.url));
     });
   }
   
   // Misskey emojis (object format: { "emoji_name": "url" })
   if (state.misskeyEmojis && Object.keys(state.misskeyEmojis).length > 0) {
     Object.entries(state.misskeyEmojis).forEach(([name, url]) => {
+      if (replaced.has(name)) return;
       const escapedName = escapeEmojiNameForRegex(name);
       const regex = new RegExp(`:${escapedName}:`, 'g');
-      const emojiImg = `<img src="${url}" alt=":${name}:" class="custom-emoji inline-block h-5 w-5 align-text-bottom" title=":${name}:">`;
-      processedContent = processedContent.replace(regex, emojiImg);
+      processedContent = replaceOutsideTags(processedContent, regex, renderEmojiImg(name, url));
     });
   }
   
   return processedContent;
 };
 
+// 纯文本字段（显示名称、内容警告、投票选项等）：转义后替换表情
+const renderText = (text, emojis = []) => replaceCustomEmojis(escapeHtml(text || ''), emojis);
+
+// Misskey 的正文是 MFM，其他平台是 HTML；旧缓存中的 Misskey 嘟文没有 content_type，按账户平台判断
+const isPlainTextContent = (status, source = null) => {
+  if (status.content_type) return status.content_type !== 'text/html';
+  const platform = source ? source.platform : state.platformLocked || state.platform;
+  return platform === 'misskey';
+};
+
+// 作者所在的实例（MFM 中的提及与话题标签链接到这里）
+const getAuthorHost = (status) => {
+  try {
+    return new URL(status.account?.url || status.url).hostname;
+  } catch {
+    return '';
+  }
+};
+
+// 嘟文正文：HTML 按白名单清理，MFM 渲染为 HTML（文字均已转义），再替换表情
+const renderStatusContent = (status, source = null) => {
+  let content = status.content || '';
+  if (status.spoiler_text) content = stripLegacyContentWarning(content);
+  const html = isPlainTextContent(status, source)
+    ? renderMfm(content, { host: getAuthorHost(status) })
+    : sanitizeHtml(content);
+  return replaceCustomEmojis(html, status.emojis);
+};
+
 // 切换暂停状态
 const togglePause = () => {
   const nextState = !state.isPaused;
@@ -440,15 +921,46 @@ const stopFetch = () => {
   render();
 };
 
+// 在自己所在的实例上解析远程账户；返回的账户 ID 属于该实例，之后的嘟文也从该实例分页获取
+const lookupAccountViaInstance = async (home, acct) => {
+  const detected = await detectPlatform(home);
+  const platform = detected && isMastodonCompatible(detected.platform) ? detected.platform : 'mastodon';
+  if (detected?.platform === 'misskey') {
+    throw new Error(`${home} 是 Misskey 实例，暂不支持经由该实例抓取`);
+  }
+  const token = getAuthToken(home) || await promptForToken(home, platform);
+  const found = await searchAccountOnInstance(home, acct, token, { onWait: notifyFetchWait });
+  clearFetchNotice();
+  if (!found?.account) {
+    throw new Error(`${home} 无法解析账户 @${acct}`);
+  }
+  return {
+    account: { ...found.account, fetched_via: home },
+    platform,
+  };
+};
+
 // -------------------------------------------------------------------------
 // 核心功能：统一抓取逻辑 (Handle Fetch)
-// 支持：初始化抓取、抓取更多(older)、抓取更新(newer)
+// 支持：初始化抓取、抓取更多(older)、抓取更新(newer)、从中断处继续(resume)
 // -------------------------------------------------------------------------
 const executeFetch = async (type) => {
+  // 混合随机池由多个账户组成，不支持增量抓取
+  if (state.mixedPool && type !== 'initial') return;
+
+  // 续传：沿用上次中断时保存的方向与游标
+  const resumeCursor = type === 'resume' ? state.crawlCursor : null;
+  if (type === 'resume') {
+    if (!resumeCursor) return;
+    type = resumeCursor.direction;
+  }
+
   state.error = null;
+  state.authNotice = null;
   state.loading = true;
   state.fetchType = type;
   state.fetchCount = 0;
+  state.fetchNotice = null;
   render(); // 立即刷新 UI，显示右下角小卡片
   
   // 重置控制标志
@@ -461,6 +973,11 @@ const executeFetch = async (type) => {
     state.allStatuses = [];
     state.currentStatus = null;
     state.currentAccount = null;
+    state.isCached = false;
+    state.mixedPool = null;
+    state.queryResults = null;
+    state.currentSourceId = null;
+    state.crawlCursor = null;
   }
 
   // 解析 URL 或使用当前 Account
@@ -472,35 +989,71 @@ const executeFetch = async (type) => {
 
   try {
     if (type === 'initial') {
-      // 自动判定平台：先尝试 Mastodon，失败再尝试 Misskey
-      let mastoParsed = parseMastodonUrl(state.urlInput);
+      // 用户名、远程主页和嘟文链接先通过 WebFinger 换成账户所在实例上的主页链接
+      const resolvedInput = await resolveAccountInput(state.urlInput);
+      state.urlInput = resolvedInput.profileUrl;
+
+      // 经由自己所在的实例抓取：对方实例不可达或禁止匿名访问时使用，只能拿到本实例已知的嘟文
+      const viaInstance = state.fetchConfig.viaInstance;
+      if (viaInstance) {
+        const via = await lookupAccountViaInstance(viaInstance, resolvedInput.acct);
+        domain = viaInstance;
+        accountData = via.account;
+        accountId = accountData.id;
+        state.currentAccount = accountData;
+        await loadHistory(accountId);
+        activePlatform = via.platform;
+        state.platformLocked = via.platform;
+        render();
+      }
+
+      // 先通过 NodeInfo 识别实例软件；识别失败（跨域限制、未提供 NodeInfo）时先尝试 Mastodon API，失败再尝试 Misskey
+      const target = accountData ? null : parseMastodonUrl(state.urlInput);
+      const detected = target ? await detectPlatform(target.domain) : null;
+      const mastoPlatform = detected && isMastodonCompatible(detected.platform) ? detected.platform : 'mastodon';
+      let mastoParsed = detected?.platform === 'misskey' ? null : target;
       let mastoError = null;
       if (mastoParsed) {
         try {
           domain = mastoParsed.domain;
           let mastoHeaders = {};
-          const cachedToken = getAuthToken(domain);
+          let cachedToken = getAuthToken(domain);
+          // GoToSocial 不允许匿名访问，直接请求 Token，省去一次必然失败的请求
+          if (!cachedToken && requiresToken(mastoPlatform)) {
+            cachedToken = await promptForToken(domain, mastoPlatform);
+          }
           if (cachedToken) {
             mastoHeaders.Authorization = `Bearer ${cachedToken}`;
           }
 
           const lookupUrl = `https://${mastoParsed.domain}/api/v1/accounts/lookup?acct=${mastoParsed.username}`;
-          let lookupRes = await fetch(lookupUrl, { headers: mastoHeaders });
+          // 未能识别实例软件时不重试：跨域或网络错误多半说明不是 Mastodon 兼容实例，尽快改试 Misskey
+          const lookupOptions = detected ? { onWait: notifyFetchWait } : { onWait: notifyFetchWait, maxRetries: 0 };
+          let lookupRes = await scheduledFetch(lookupUrl, { headers: mastoHeaders }, lookupOptions);
           // 如果需要认证，则提示用户输入 Token 后重试
           if (lookupRes.status === 401 || lookupRes.status === 403) {
-            const token = await promptForToken(domain);
+            const token = await promptForToken(domain, mastoPlatform);
             mastoHeaders.Authorization = `Bearer ${token}`;
-            lookupRes = await fetch(lookupUrl, { headers: mastoHeaders });
+            lookupRes = await scheduledFetch(lookupUrl, { headers: mastoHeaders }, { onWait: notifyFetchWait });
           }
+          // 较旧的 Pleroma 没有 lookup 接口，但 /api/v1/accounts/:id 也接受用户名
+          if (lookupRes.status === 404 && mastoPlatform === 'pleroma') {
+            lookupRes = await scheduledFetch(
+              `https://${mastoParsed.domain}/api/v1/accounts/${encodeURIComponent(mastoParsed.username)}`,
+              { headers: mastoHeaders },
+              { onWait: notifyFetchWait }
+            );
+          }
+          clearFetchNotice();
           if (!lookupRes.ok) throw new Error('无法找到该用户。');
           accountData = await lookupRes.json();
           if (!accountData) throw new Error('账户数据解析失败');
           state.currentAccount = accountData;
-          loadHistory(accountData.id);
+          await loadHistory(accountData.id);
           accountId = accountData.id;
           await fetchCustomEmojis(domain);
-          activePlatform = 'mastodon';
-          state.platformLocked = 'mastodon';
+          activePlatform = mastoPlatform;
+          state.platformLocked = mastoPlatform;
           render();
         } catch (err) {
           mastoError = err;
@@ -516,7 +1069,7 @@ const executeFetch = async (type) => {
           throw new Error(mastoError ? mastoError.message : '无法解析该链接为 Mastodon 或 Misskey');
         }
         domain = parsed.domain;
-        const userId = await getUserId(domain, parsed.username);
+        const userId = await callMisskeyWithAuth(domain, token => getUserId(domain, parsed.username, null, token));
         accountId = userId;
 
         // 先放置占位账号
@@ -533,12 +1086,12 @@ const executeFetch = async (type) => {
           created_at: null
         };
         state.currentAccount = accountData;
-        loadHistory(userId);
+        await loadHistory(userId);
         render();
 
         // 实例表情
         try {
-          state.misskeyEmojis = await getInstanceEmojis(domain, { token: null });
+          state.misskeyEmojis = await getInstanceEmojis(domain, { token: getAuthToken(domain) });
         } catch (e) {
           console.warn('Failed to fetch Misskey instance emojis:', e);
         }
@@ -550,8 +1103,8 @@ const executeFetch = async (type) => {
       // 如果是继续抓取或更新，必须已有账户信息
       if (!state.currentAccount) throw new Error('未找到账户信息');
       try {
-        const u = new URL(state.currentAccount.url);
-        domain = u.hostname;
+        // 经由自己实例抓取的账户，继续抓取和更新也走同一实例
+        domain = state.currentAccount.fetched_via || new URL(state.currentAccount.url).hostname;
       } catch {
         if (activePlatform === 'misskey') {
           const p = parseMisskeyUrl(state.urlInput);
@@ -569,94 +1122,126 @@ const executeFetch = async (type) => {
 
     // 2. 准备循环抓取
     // 对于 'older' (继续抓取): max_id = 当前列表中最后一条的ID
-    // 对于 'newer' (抓取更新): since_id = 当前列表中第一条的ID
-    // 对于 'initial': 不传 max_id/since_id
+    // 对于 'newer' (抓取更新): min_id = 当前列表中第一条的ID，向上逐页翻到最新
+    // 对于 'initial': 不传 max_id/min_id
     
     let nextMaxId = null;
-    let sinceId = null;
+    let nextMinId = null;
 
     if (type === 'older' && state.allStatuses.length > 0) {
       nextMaxId = state.allStatuses[state.allStatuses.length - 1].id;
     }
     if (type === 'newer' && state.allStatuses.length > 0) {
-      sinceId = state.allStatuses[0].id;
+      nextMinId = state.allStatuses[0].id;
+    }
+    // 续传时从游标处继续（中断前的最后一页可能全部被过滤，游标不一定等于列表两端的 ID）
+    if (resumeCursor && resumeCursor.anchorId) {
+      if (type === 'older') nextMaxId = resumeCursor.anchorId;
+      else nextMinId = resumeCursor.anchorId;
     }
 
+    // 已有嘟文 ID，用于去重（翻页边界或重复抓取时可能出现重复）
+    const knownIds = new Set(state.allStatuses.map(s => s.id));
+
     let keepFetching = true;
     let sessionCollectedCount = 0; // 本次操作抓取的数量
 
     if (activePlatform === 'misskey' && type === 'initial') {
-      // Misskey 一次性获取所有数据
+      // Misskey 逐页抓取：每页立即写入缓存并记录续传游标，出错时已抓取的数据不会丢失
+      const limitTime = state.fetchConfig.mode === 'limit_date' ? new Date(state.fetchConfig.limitDate).getTime() : null;
+      let reachedLimit = false;
+      let cacheReset = false;
+      if (!state.misskeyEmojis) state.misskeyEmojis = {};
+
       try {
         console.log('Fetching Misskey notes...');
-        const notes = await getAllNotesData(state.urlInput, {
-          limit: 100,
-          includeReplies: !state.fetchConfig.excludeReplies,
-          includeRenotes: !state.fetchConfig.excludeReblogs,
-          onProgress: (currentCount) => {
-            state.fetchCount = currentCount;
-            updateFetchCount();
-          },
-          shouldStop: () => stopRef,
-          shouldPause: () => pausedRef,
-        });
-        console.log('Got notes:', notes.length);
-        
-        if (notes.length === 0) {
-          throw new Error('无法找到该用户或该用户没有公开帖子。');
-        }
-        
-        // 从第一条帖子获取用户信息
-        const firstNote = notes[0];
-        const user = firstNote.user || {};
-        const acct = user.host ? `${user.username}@${user.host}` : user.username;
-        
-        // 转换为 Mastodon 格式的账户对象
-        accountData = {
-          id: accountId,
-          username: user.username,
-          acct: acct,
-          display_name: user.name || user.username,
-          url: user.host ? `https://${user.host}/@${user.username}` : `https://${domain}/@${user.username}`,
-          avatar: user.avatarUrl || '',
-          note: '',
-          locked: user.requireSigninToViewContents || false,
-          bot: user.isBot || false,
-          created_at: null
-        };
-        
-        state.currentAccount = accountData;
-        loadHistory(accountId);
-        
-        // 转换并过滤
-        let convertedStatuses = notes
-          .map(note => convertMisskeyNoteToStatus(note, domain))
-          .filter(Boolean)
-          .filter(s => !shouldHideStatus(s));
-        
-        // 应用日期筛选
-        if (state.fetchConfig.mode === 'limit_date') {
-          const limitTime = new Date(state.fetchConfig.limitDate).getTime();
-          convertedStatuses = convertedStatuses.filter(s => new Date(s.created_at).getTime() >= limitTime);
-        }
-        
-        // 应用数量筛选
-        if (state.fetchConfig.mode === 'limit_count') {
-          convertedStatuses = convertedStatuses.slice(0, state.fetchConfig.limitCount);
+        // 需要认证时弹出 Token 对话框，保存后从出错的那一页继续
+        let authResumeUntilId = null;
+        while (true) {
+          try {
+            await getAllNotes(domain, accountId, {
+              token: getAuthToken(domain),
+              untilId: authResumeUntilId,
+              limit: 100,
+              includeReplies: !state.fetchConfig.excludeReplies,
+              includeRenotes: !state.fetchConfig.excludeReblogs,
+              shouldStop: () => stopRef || reachedLimit,
+              shouldPause: () => pausedRef,
+              onWait: notifyFetchWait,
+              onBatch: async (notes, nextUntilId) => {
+                state.fetchNotice = null;
+
+                if (!cacheReset) {
+                  // 从第一条帖子获取用户信息
+                  const user = notes[0].user || {};
+                  const acct = user.host ? `${user.username}@${user.host}` : user.username;
+
+                  // 转换为 Mastodon 格式的账户对象
+                  accountData = {
+                    id: accountId,
+                    username: user.username,
+                    acct: acct,
+                    display_name: user.name || user.username,
+                    url: user.host ? `https://${user.host}/@${user.username}` : `https://${domain}/@${user.username}`,
+                    avatar: user.avatarUrl || '',
+                    note: '',
+                    locked: user.requireSigninToViewContents || false,
+                    bot: user.isBot || false,
+                    created_at: null
+                  };
+                  state.currentAccount = accountData;
+                  mergeMisskeyEmojisFromNote({ user }); // 当前用户
+                }
+
+                // 收集表情符号：优先服务器表情，再合并帖子/用户级表情
+                notes.forEach(mergeMisskeyEmojisFromNote);
+
+                // 转换并过滤
+                let converted = notes
+                  .map(note => convertMisskeyNoteToStatus(note, domain))
+                  .filter(Boolean)
+                  .filter(s => !shouldHideStatus(s));
+
+                // 日期筛选：本页已出现早于截止日期的帖子时，后面的页都更早，不再继续
+                if (limitTime !== null) {
+                  if (converted.some(s => new Date(s.created_at).getTime() < limitTime)) reachedLimit = true;
+                  converted = converted.filter(s => new Date(s.created_at).getTime() >= limitTime);
+                }
+
+                // 数量筛选
+                if (state.fetchConfig.mode === 'limit_count') {
+                  converted = converted.slice(0, Math.max(0, state.fetchConfig.limitCount - sessionCollectedCount));
+                  if (sessionCollectedCount + converted.length >= state.fetchConfig.limitCount) reachedLimit = true;
+                }
+
+                state.allStatuses = [...state.allStatuses, ...converted];
+                await cacheStatusBatch(accountId, converted, { reset: !cacheReset });
+                cacheReset = true;
+                sessionCollectedCount += converted.length;
+                state.fetchCount = sessionCollectedCount;
+
+                if (nextUntilId && !reachedLimit) {
+                  await setCrawlCursor(accountId, { direction: 'older', anchorId: nextUntilId });
+                }
+                render();
+              },
+            });
+            break;
+          } catch (err) {
+            if (!isMisskeyAuthError(err)) throw err;
+            authResumeUntilId = err.untilId;
+            await promptForToken(domain, 'misskey');
+          }
         }
-        
-        // 收集所有表情符号：优先服务器表情，再合并帖子/用户级表情
-        if (!state.misskeyEmojis) state.misskeyEmojis = {};
-        mergeMisskeyEmojisFromNote({ user }); // 当前用户
-        notes.forEach(mergeMisskeyEmojisFromNote);
-        
-        state.allStatuses = convertedStatuses;
-        sessionCollectedCount = convertedStatuses.length;
-        state.fetchCount = sessionCollectedCount;
-        keepFetching = false;
+        console.log('Got notes:', sessionCollectedCount);
       } catch (err) {
         throw new Error('Misskey API 请求失败: ' + err.message);
       }
+
+      if (sessionCollectedCount === 0 && !stopRef) {
+        throw new Error('无法找到该用户或该用户没有公开帖子。');
+      }
+      keepFetching = false;
     } else if (activePlatform === 'misskey' && (type === 'older' || type === 'newer')) {
       // Misskey 增量抓取（循环，直到无更多或手动停止）
       const includeReplies = !state.fetchConfig.excludeReplies;
@@ -672,11 +1257,15 @@ const executeFetch = async (type) => {
       if (type === 'newer' && state.allStatuses.length > 0) {
         sinceId = state.allStatuses[0].id;
       }
+      if (resumeCursor && resumeCursor.anchorId) {
+        if (type === 'older') untilId = resumeCursor.anchorId;
+        else sinceId = resumeCursor.anchorId;
+      }
 
       try {
         while (keepFetching) {
           if (stopRef) break;
-          const batch = await fetchMisskeyBatch({
+          const batch = await callMisskeyWithAuth(domain, token => fetchMisskeyBatch({
             domain,
             userId: accountId,
             limit: baseLimit,
@@ -684,9 +1273,12 @@ const executeFetch = async (type) => {
             includeRenotes,
             sinceId,
             untilId,
+            token,
             shouldStop: () => stopRef,
             shouldPause: () => pausedRef,
-          });
+            onWait: notifyFetchWait,
+          }));
+          clearFetchNotice();
 
           // 合并新增批次中的表情映射，包含嵌套的回复/转发
           batch.forEach(mergeMisskeyEmojisFromNote);
@@ -714,6 +1306,7 @@ const executeFetch = async (type) => {
             } else {
               state.allStatuses = [...state.allStatuses, ...converted];
             }
+            await cacheStatusBatch(accountId, converted, { prepend: type === 'newer' });
             sessionCollectedCount += converted.length;
             state.fetchCount = sessionCollectedCount;
             updateFetchCount();
@@ -730,6 +1323,8 @@ const executeFetch = async (type) => {
           // 如果不足一页，说明没有更多
           if (batch.length < baseLimit) {
             keepFetching = false;
+          } else {
+            await setCrawlCursor(accountId, { direction: type, anchorId: type === 'older' ? untilId : sinceId });
           }
         }
       } catch (err) {
@@ -759,8 +1354,9 @@ const executeFetch = async (type) => {
         if (state.fetchConfig.excludeReblogs) statusesUrl += `&exclude_reblogs=true`;
 
         // 分页参数
+        // min_id 返回紧接在该 ID 之后的一页（而不是最新的一页），因此可以向上连续翻页而不留空档
         if (nextMaxId) statusesUrl += `&max_id=${nextMaxId}`;
-        if (sinceId) statusesUrl += `&since_id=${sinceId}`; // 注意: Mastodon API 对于 since_id 有时只返回新数据，不一定分页
+        if (nextMinId) statusesUrl += `&min_id=${nextMinId}`;
 
         // 准备 Header，若已有 Token 直接带上
         let mastoHeaders = {};
@@ -769,18 +1365,23 @@ const executeFetch = async (type) => {
           mastoHeaders.Authorization = `Bearer ${cachedToken}`;
         }
 
-        // 发起请求
-        let res = await fetch(statusesUrl, { headers: mastoHeaders });
+        // 发起请求（调度器负责速率限制等待与失败重试）
+        let res = await scheduledFetch(statusesUrl, { headers: mastoHeaders }, crawlRequestOptions());
         // 未认证则提示用户输入 Token 后重试
-        if (res.status === 401 || res.status === 403) {
-          const token = await promptForToken(domain);
+        if (res && (res.status === 401 || res.status === 403)) {
+          const token = await promptForToken(domain, isMastodonCompatible(activePlatform) ? activePlatform : 'mastodon');
           mastoHeaders.Authorization = `Bearer ${token}`;
-          res = await fetch(statusesUrl, { headers: mastoHeaders });
+          res = await scheduledFetch(statusesUrl, { headers: mastoHeaders }, crawlRequestOptions());
         }
+        // 等待重试期间被停止
+        if (!res) break;
+        clearFetchNotice();
 
         if (!res.ok) throw new Error('API 请求失败: ' + res.statusText);
         
-        const batch = await res.json();
+        // Pleroma/Akkoma、GoToSocial 的嘟文统一为 Mastodon 格式
+        const batch = (await res.json()).map(s => normalizeStatus(s, activePlatform));
+        const pageLinks = parseLinkHeader(res.headers.get('Link'));
 
         // 停止条件1: 空数组
         if (batch.length === 0) {
@@ -789,11 +1390,10 @@ const executeFetch = async (type) => {
         }
 
         // 处理数据
-        // 如果是 'newer' 模式，Mastodon 返回的是从 since_id 之后的所有数据（可能很多），或者按 limit 分页
-        // 如果是分页的，新数据是倒序的（最新的在最前）。
-        // 我们需要把 batch 加到 allStatuses 的前面 (如果是 newer) 或后面 (older/initial)
+        // 每一页都是倒序的（最新的在最前）。
+        // 'newer' 模式下每一页都比之前的页更新，所以逐页加到 allStatuses 的前面；older/initial 加到后面
 
-        let filteredBatch = batch.filter(s => !shouldHideStatus(s));
+        let filteredBatch = batch.filter(s => !shouldHideStatus(s) && !knownIds.has(s.id));
 
         // 停止条件2: 按日期筛选 (抓取某年某月某日之后的帖子)
         // 解析 created_at 判断
@@ -804,22 +1404,24 @@ const executeFetch = async (type) => {
           
           if (lastItemTime < limitTime) {
             // 这一批里有部分数据过期了，截断
-            filteredBatch = batch.filter(s => new Date(s.created_at).getTime() >= limitTime);
+            filteredBatch = filteredBatch.filter(s => new Date(s.created_at).getTime() >= limitTime);
             keepFetching = false; // 到了截止日期，停止
           }
         }
 
         // 更新状态 (UI显示)
         if (filteredBatch.length > 0) {
+          filteredBatch.forEach(s => knownIds.add(s.id));
           if (type === 'newer') {
-            // 对于更新，我们要加到最前面
-            // 注意：如果 batch 有多页，这里逻辑稍微复杂。通常 since_id 抓取用于少量更新。
-            // 简单起见，我们假设 newer 抓取是一次性的或者 batch 是最新的。
-            // 实际上 API 可能会返回 [新3, 新2, 新1]。我们直接解构。
+            // 对于更新，我们要加到最前面（本页比已有数据都新，中途停止也不会留下空档）
             state.allStatuses = [...filteredBatch, ...state.allStatuses];
           } else {
             state.allStatuses = [...state.allStatuses, ...filteredBatch];
           }
+          await cacheStatusBatch(accountId, filteredBatch, {
+            prepend: type === 'newer',
+            reset: type === 'initial' && sessionCollectedCount === 0,
+          });
           sessionCollectedCount += filteredBatch.length;
           state.fetchCount = sessionCollectedCount;
           
@@ -844,27 +1446,41 @@ const executeFetch = async (type) => {
         // 准备下一页
         if (keepFetching) {
           if (type === 'newer') {
-            // 抓取更新时，通常 since_id 机制不同。
-            // 如果返回了满 limit 条，说明可能还有更新的。
-            // 这里的 min_id/since_id 分页逻辑比较复杂，简单实现：只抓一页更新，或者
-            // 更新 `sinceId` 为 batch[0].id (最新的ID) ? 不，since_id 是基准。
-            // 如果 batch.length < 40，说明没更多了。
-            if (batch.length < 40) keepFetching = false;
-            else {
-              // 如果还有更多更新的（较少见），Mastodon API 文档建议用 min_id 向上翻页
-              // 这里简化：抓取更新暂时只抓取第一页 (40条)
-              keepFetching = false; 
+            // 向上翻页：优先使用 Link 头中 rel="prev" 的 min_id，否则取本页最新一条
+            // 如果 batch.length < 40，说明已经到达最新，没有更多了（Pleroma/Akkoma 除外，继续翻到空页为止）
+            if (batch.length < 40 && !pagesMayBeShort(activePlatform)) {
+              keepFetching = false;
+            } else {
+              const prevLink = pageLinks.prev;
+              let linkMinId = null;
+              try {
+                linkMinId = prevLink ? new URL(prevLink).searchParams.get('min_id') : null;
+              } catch {
+                linkMinId = null;
+              }
+              nextMinId = linkMinId || batch[0].id;
+              await setCrawlCursor(accountId, { direction: 'newer', anchorId: nextMinId });
             }
           } else {
-            // Initial 或 Older，向下翻页
-            nextMaxId = batch[batch.length - 1].id;
-            // 避免 API 速率限制
-            await new Promise(r => setTimeout(r, 400));
+            // Initial 或 Older，向下翻页：优先使用 Link 头中 rel="next" 的 max_id（Pleroma 过滤后的页尾不一定是翻页位置）
+            let linkMaxId = null;
+            try {
+              linkMaxId = pageLinks.next ? new URL(pageLinks.next).searchParams.get('max_id') : null;
+            } catch {
+              linkMaxId = null;
+            }
+            nextMaxId = linkMaxId || batch[batch.length - 1].id;
+            await setCrawlCursor(accountId, { direction: 'older', anchorId: nextMaxId });
           }
         }
       } // end while
     }
 
+    // 正常结束（到底或达到数量/日期限制）时清除续传游标；被停止或出错时保留，便于稍后继续
+    if (!stopRef) {
+      await setCrawlCursor(accountId, null);
+    }
+
     if (type === 'initial' && sessionCollectedCount === 0) {
       // 如果不是被停止的，才报错
       if (!stopRef) {
@@ -872,26 +1488,30 @@ const executeFetch = async (type) => {
       }
     }
 
-    // 缓存数据（包含账号、状态、misskey 表情），增量抓取也会缓存
+  } catch (err) {
+    state.error = err.message || '发生未知错误';
+  } finally {
+    // 嘟文已在抓取过程中逐批写入，这里补充账号信息与 misskey 表情（出错中断时同样保存，便于续传）
     const cacheAccount = accountData || state.currentAccount;
-    if (cacheAccount && state.allStatuses.length > 0) {
+    if (cacheAccount && state.allStatuses.length > 0 && state.isCached) {
       try {
-        const cachedPayload = {
+        const now = new Date().toISOString();
+        await saveCachedAccount(cacheAccount.id, {
           account: cacheAccount,
-          statuses: state.allStatuses,
-          misskeyEmojis: state.misskeyEmojis || {},
           platform: state.platformLocked || state.platform,
-        };
-        localStorage.setItem(`cached_data_${cacheAccount.id}`, JSON.stringify(cachedPayload));
+          pickStrategy: state.pickStrategy,
+          sensitiveMedia: state.sensitiveMedia,
+          lastFetchedAt: now,
+          lastOpenedAt: now,
+        });
+        await saveEmojis(cacheAccount.id, state.misskeyEmojis || {});
       } catch (e) {
-        console.warn('Storage quota exceeded, could not cache full dataset.');
+        console.warn('Failed to cache account data:', e);
       }
     }
 
-  } catch (err) {
-    state.error = err.message || '发生未知错误';
-  } finally {
     state.loading = false;
+    state.fetchNotice = null;
     state.fetchType = null;
     stopRef = false;
     state.isPaused = false;
@@ -913,8 +1533,10 @@ const handleFetch = async (e) => {
 };
 
 // Parse ActivityPub actor.json to Mastodon API account format
+const ACTOR_TYPES = ['Person', 'Service', 'Application', 'Group', 'Organization'];
+
 const parseActivityPubActor = (actorData) => {
-  if (!actorData || actorData.type !== 'Person') {
+  if (!actorData || !ACTOR_TYPES.includes(actorData.type)) {
     return null;
   }
 
@@ -947,6 +1569,7 @@ const parseActivityPubActor = (actorData) => {
       url: actorData.url || actorUrl,
       avatar: avatarUrl || `https://${domain}/avatars/original/missing.png`,
       note: actorData.summary || '',
+      emojis: parseActivityPubEmojis(actorData.tag),
     };
   } catch (e) {
     console.warn('解析actor.json失败:', e);
@@ -954,8 +1577,159 @@ const parseActivityPubActor = (actorData) => {
   }
 };
 
+const AS_PUBLIC = ['https://www.w3.org/ns/activitystreams#Public', 'as:Public', 'Public'];
+
+// 可以当作嘟文导入的对象类型（Question 为投票）
+const NOTE_TYPES = ['Note', 'Question', 'Article', 'Page'];
+
+const asArray = (value) => (value === null || value === undefined ? [] : [].concat(value));
+
+// 由 to / cc 推断可见性：to 含 Public 为公开，cc 含 Public 为不公开列出，
+// 只发给关注者集合为仅关注者，其余（只有被提及的人）为私信
+const getActivityPubVisibility = (to, cc) => {
+  const toList = asArray(to).map(a => (typeof a === 'string' ? a : a?.id));
+  const ccList = asArray(cc).map(a => (typeof a === 'string' ? a : a?.id));
+  if (toList.length === 0 && ccList.length === 0) return 'public'; // 没有寻址信息时按公开处理
+  if (toList.some(a => AS_PUBLIC.includes(a))) return 'public';
+  if (ccList.some(a => AS_PUBLIC.includes(a))) return 'unlisted';
+  if ([...toList, ...ccList].some(a => typeof a === 'string' && a.endsWith('/followers'))) return 'private';
+  return 'direct';
+};
+
+// Emoji 标签 → Mastodon 的 emojis 数组（随嘟文保存，离线也能显示）
+const parseActivityPubEmojis = (tags, resolveMediaUrl = url => url) => asArray(tags)
+  .filter(tag => tag && tag.type === 'Emoji' && tag.name)
+  .map((tag) => {
+    const iconUrl = resolveMediaUrl(typeof tag.icon === 'string' ? tag.icon : tag.icon?.url);
+    return {
+      shortcode: tag.name.replace(/^:|:$/g, ''),
+      url: iconUrl,
+      static_url: iconUrl,
+      visible_in_picker: false,
+    };
+  })
+  .filter(emoji => emoji.url);
+
+// Question → Mastodon 的 poll
+const parseActivityPubPoll = (note) => {
+  const choices = asArray(note.oneOf).length > 0 ? asArray(note.oneOf) : asArray(note.anyOf);
+  if (note.type !== 'Question' || choices.length === 0) return null;
+  const options = choices.map(choice => ({
+    title: choice.name || '',
+    votes_count: choice.replies?.totalItems ?? null,
+  }));
+  const expiresAt = note.endTime || note.closed || null;
+  return {
+    id: note.id ? note.id.split('/').pop() : Date.now().toString(),
+    expires_at: expiresAt,
+    expired: !!note.closed || (expiresAt ? new Date(expiresAt).getTime() < Date.now() : false),
+    multiple: asArray(note.anyOf).length > 0,
+    votes_count: options.reduce((sum, option) => sum + (option.votes_count || 0), 0),
+    voters_count: note.votersCount ?? null,
+    options,
+    emojis: [],
+    voted: false,
+    own_votes: [],
+  };
+};
+
+// Convert an ActivityPub Note to Mastodon API status format
+// resolveMediaUrl: 处理附件地址（存档中的相对路径）
+// activity: 外层的 Create 活动，Note 缺少 published / to / cc 时使用
+const convertActivityPubNote = (note, account, { resolveMediaUrl = url => url, activity = null } = {}) => {
+  const tags = asArray(note.tag);
+
+  // 转换媒体附件
+  const mediaAttachments = asArray(note.attachment).map(att => {
+    let mediaUrl = null;
+    let mediaType = 'image';
+    
+    if (typeof att === 'string') {
+      // 如果attachment是URL字符串
+      mediaUrl = att;
+    } else {
+      // 如果attachment是对象
+      mediaUrl = typeof att.url === 'string' ? att.url : att.url?.href || att.href;
+      if (att.mediaType) {
+        mediaType = getMediaTypeFromMime(att.mediaType);
+      }
+    }
+    
+    // 解析URL（如果是本地文件，转换为blob URL）
+    const resolvedUrl = resolveMediaUrl(mediaUrl);
+    
+    return {
+      id: att.id || mediaUrl || Date.now().toString(),
+      type: mediaType,
+      url: resolvedUrl,
+      preview_url: resolvedUrl,
+      description: att.name || att.summary || null,
+      blurhash: att.blurhash || null,
+      meta: att.width && att.height ? { original: { width: att.width, height: att.height } } : null,
+    };
+  });
+
+  // 语言与正文：contentMap 的键为语言代码
+  const contentMap = note.contentMap && typeof note.contentMap === 'object' ? note.contentMap : {};
+  const language = Object.keys(contentMap)[0] || null;
+  const content = note.content || (language ? contentMap[language] : '') || '';
+
+  const mentions = tags
+    .filter(tag => tag && tag.type === 'Mention' && tag.href)
+    .map((tag) => {
+      const acct = (tag.name || '').replace(/^@/, '');
+      return {
+        id: tag.href,
+        username: acct.split('@')[0] || tag.href.split('/').pop(),
+        acct: acct || tag.href,
+        url: tag.href,
+      };
+    });
+
+  // 回复的目标：只保留 ID（链接最后一段），回复自己时可以确定被回复的账户
+  const inReplyTo = typeof note.inReplyTo === 'string' ? note.inReplyTo : note.inReplyTo?.id || null;
+  const attributedTo = asArray(note.attributedTo).map(a => (typeof a === 'string' ? a : a?.id))[0] || null;
+  const isSelfReply = !!(inReplyTo && attributedTo && inReplyTo.startsWith(`${attributedTo}/`));
+
+  // 构建status对象（Mastodon API格式）
+  const status = {
+    id: note.id ? note.id.split('/').pop() : Date.now().toString(), // 从URL提取ID
+    created_at: note.published || activity?.published || null,
+    in_reply_to_id: inReplyTo ? inReplyTo.split('/').pop() : null,
+    in_reply_to_account_id: isSelfReply ? account.id : null,
+    sensitive: !!note.sensitive,
+    spoiler_text: note.summary || '',
+    visibility: getActivityPubVisibility(note.to ?? activity?.to, note.cc ?? activity?.cc),
+    language,
+    uri: note.id || note.url,
+    url: (typeof note.url === 'string' ? note.url : asArray(note.url).map(u => u?.href || u)[0]) || note.id,
+    replies_count: note.replies?.totalItems ?? note.replies?.first?.items?.length ?? 0,
+    reblogs_count: note.shares?.totalItems ?? 0,
+    favourites_count: note.likes?.totalItems ?? 0,
+    edited_at: note.updated || null,
+    content,
+    reblog: null,
+    application: null,
+    account,
+    media_attachments: mediaAttachments,
+    mentions,
+    tags: tags
+      .filter(tag => tag && tag.type === 'Hashtag')
+      .map(tag => ({
+        name: (tag.name || tag.href?.split('/').pop() || '').replace(/^#/, ''),
+        url: tag.href || '',
+      })),
+    emojis: parseActivityPubEmojis(tags, resolveMediaUrl),
+    card: null,
+    poll: parseActivityPubPoll(note),
+  };
+
+  return status;
+};
+
 // Parse ActivityPub outbox.json format to Mastodon API format
-const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null) => {
+// resolveLocalFile: 把存档中的相对路径转换为可显示的地址（导入文件夹或 ZIP 时提供），找不到时返回 null
+const parseActivityPubOutbox = (outboxData, actorAccount = null, resolveLocalFile = null) => {
   if (!outboxData.orderedItems || !Array.isArray(outboxData.orderedItems)) {
     throw new Error('无效的 ActivityPub outbox 格式。');
   }
@@ -964,31 +1738,23 @@ const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null)
   let account = actorAccount;
   let actorUrl = null;
 
-  // 辅助函数：将媒体文件路径转换为blob URL（如果是本地文件）
+  // 辅助函数：将媒体文件路径转换为本地可显示的地址（如果存档中有该文件）
   const resolveMediaUrl = (url) => {
     if (!url) return url;
     // 如果是完整的HTTP(S) URL，直接返回
     if (url.startsWith('http://') || url.startsWith('https://')) {
       return url;
     }
-    // 如果是相对路径，尝试从fileMap中查找
-    if (fileMap) {
-      const fileName = url.split('/').pop();
-      const file = fileMap.get(fileName.toLowerCase());
-      if (file) {
-        return URL.createObjectURL(file);
-      }
-      // 也尝试在media_attachments子文件夹中查找
-      const mediaFile = fileMap.get(`media_attachments/${fileName}`.toLowerCase());
-      if (mediaFile) {
-        return URL.createObjectURL(mediaFile);
-      }
+    // 如果是相对路径，尝试在存档中查找
+    if (resolveLocalFile) {
+      const localUrl = resolveLocalFile(url);
+      if (localUrl) return localUrl;
     }
     return url; // 如果找不到，返回原路径
   };
 
   for (const activity of outboxData.orderedItems) {
-    if (activity.type === 'Create' && activity.object && activity.object.type === 'Note') {
+    if (activity.type === 'Create' && activity.object && NOTE_TYPES.includes(activity.object.type)) {
       // 原创嘟文
       const note = activity.object;
       
@@ -1015,72 +1781,14 @@ const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null)
         }
       }
 
-      // 转换媒体附件
-      const mediaAttachments = (note.attachment || []).map(att => {
-        let mediaUrl = null;
-        let mediaType = 'image';
-        
-        if (typeof att === 'string') {
-          // 如果attachment是URL字符串
-          mediaUrl = att;
-        } else {
-          // 如果attachment是对象
-          mediaUrl = att.url || att.href;
-          if (att.mediaType) {
-            mediaType = att.mediaType.startsWith('image/') ? 'image' : 
-                       (att.mediaType.startsWith('video/') ? 'video' : 'unknown');
-          }
-        }
-        
-        // 解析URL（如果是本地文件，转换为blob URL）
-        const resolvedUrl = resolveMediaUrl(mediaUrl);
-        
-        return {
-          id: att.id || mediaUrl || Date.now().toString(),
-          type: mediaType,
-          url: resolvedUrl,
-          preview_url: resolvedUrl,
-          description: att.name || att.summary || null,
-        };
-      });
-
-      // 构建status对象（Mastodon API格式）
-      const status = {
-        id: note.id ? note.id.split('/').pop() : Date.now().toString(), // 从URL提取ID
-        created_at: note.published || activity.published,
-        in_reply_to_id: note.inReplyTo ? (typeof note.inReplyTo === 'string' ? note.inReplyTo.split('/').pop() : null) : null,
-        in_reply_to_account_id: null,
-        sensitive: note.sensitive || false,
-        spoiler_text: note.summary || '',
-        visibility: 'public', // 默认公开
-        language: null,
-        uri: note.id || note.url,
-        url: note.url,
-        replies_count: note.replies?.first?.items?.length || 0,
-        reblogs_count: 0,
-        favourites_count: 0,
-        edited_at: null,
-        content: note.content || '',
-        reblog: null,
-        application: null,
-        account: account || {
-          id: 'unknown',
-          username: 'unknown',
-          acct: 'unknown',
-          display_name: 'Unknown',
-          url: actorUrl || '',
-          avatar: '',
-        },
-        media_attachments: mediaAttachments,
-        mentions: [],
-        tags: (note.tag || []).map(tag => ({
-          name: tag.name || tag.href?.split('/').pop() || '',
-          url: tag.href || '',
-        })),
-        emojis: [],
-        card: null,
-        poll: null,
-      };
+      const status = convertActivityPubNote(note, account || {
+        id: 'unknown',
+        username: 'unknown',
+        acct: 'unknown',
+        display_name: 'Unknown',
+        url: actorUrl || '',
+        avatar: '',
+      }, { resolveMediaUrl, activity });
 
       statuses.push(status);
     } else if (activity.type === 'Announce' && activity.object) {
@@ -1121,7 +1829,7 @@ const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null)
         in_reply_to_account_id: null,
         sensitive: false,
         spoiler_text: '',
-        visibility: 'public',
+        visibility: getActivityPubVisibility(activity.to, activity.cc),
         language: null,
         uri: activity.id || rebloggedUrl,
         url: rebloggedUrl,
@@ -1137,6 +1845,7 @@ const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null)
           in_reply_to_id: null,
           content: '[转发的帖子内容不可用]',
           url: rebloggedUrl,
+          unresolved: true, // 可通过「补全转嘟内容」获取原帖
           account: {
             // 从URL推断被转发帖子的作者
             id: 'unknown',
@@ -1176,7 +1885,745 @@ const parseActivityPubOutbox = (outboxData, actorAccount = null, fileMap = null)
   return { statuses, account };
 };
 
-// Handle File Import (supports JSON file or folder containing Mastodon archive)
+// 导入 Mastodon 存档（解压后的文件夹或 ZIP）：解析 actor.json 与 outbox.json，媒体通过 resolveLocalFile 解析
+const importMastodonArchive = async ({ actorText, outboxText, resolveLocalFile }) => {
+  let actorAccount = null;
+  if (actorText) {
+    try {
+      const actorData = JSON.parse(actorText);
+      actorAccount = parseActivityPubActor(actorData);
+
+      // 处理头像文件（如果存在）
+      if (actorAccount && actorData.icon) {
+        const iconUrl = typeof actorData.icon === 'string' ? actorData.icon : actorData.icon.url;
+        if (iconUrl && !iconUrl.startsWith('http')) {
+          // 相对路径，查找对应的文件
+          const localAvatar = resolveLocalFile(iconUrl);
+          if (localAvatar) {
+            actorAccount.avatar = localAvatar;
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('解析actor.json失败:', e);
+    }
+  }
+
+  const outboxData = JSON.parse(outboxText);
+
+  // 解析ActivityPub格式（传入actor账户信息和媒体文件解析函数）
+  const { statuses, account } = parseActivityPubOutbox(outboxData, actorAccount, resolveLocalFile);
+
+  state.currentAccount = account;
+  state.allStatuses = statuses;
+  // 之前补全过的转嘟直接从缓存读取
+  await applyCachedReblogs();
+
+  // 设置urlInput以便继续抓取时能正确解析域名
+  if (account.url) {
+    state.urlInput = account.url;
+  }
+
+  await loadHistory(account.id);
+
+  // Fetch custom emojis for this instance
+  const domain = extractDomainFromAccount(account);
+  if (domain) {
+    await fetchCustomEmojis(domain);
+  }
+};
+
+// -------------------------------------------------------------------------
+// 补全存档中的转嘟：outbox 只记录被转发嘟文的链接，需要逐条向远程获取原帖
+// 结果按链接缓存在 IndexedDB，重新导入同一存档时不再重复请求
+// -------------------------------------------------------------------------
+let enrichPausedRef = false;
+let enrichStopRef = false;
+
+const isUnresolvedReblog = (status) => !!status.reblog?.unresolved;
+
+// 写回获取结果；gone 表示原帖已删除或无法访问，之后不再重试
+const fillReblog = (status, reblog, gone) => {
+  status.reblog = gone
+    ? { ...status.reblog, unresolved: false, gone: true, content: '[被转发的帖子已删除或无法访问]' }
+    : reblog;
+};
+
+// 用缓存中获取过的原帖填充转嘟
+const applyCachedReblogs = async () => {
+  const targets = state.allStatuses.filter(isUnresolvedReblog);
+  if (targets.length === 0) return;
+  try {
+    const cached = await loadRemoteStatuses(targets.map(status => status.reblog.url));
+    targets.forEach((status) => {
+      const record = cached.get(status.reblog.url);
+      if (record) fillReblog(status, record.status, record.gone);
+    });
+  } catch (e) {
+    console.warn('Failed to load cached reblogs:', e);
+  }
+};
+
+// 获取原帖作者（同一次补全中按链接复用）
+const resolveActivityPubAuthor = (actorUrl, actorCache, options) => {
+  if (!actorCache.has(actorUrl)) {
+    actorCache.set(actorUrl, fetchActivityPubObject(actorUrl, options)
+      .then((result) => {
+        const actor = result?.data ? parseActivityPubActor(result.data) : null;
+        if (!actor) return null;
+        const username = result.data.preferredUsername || actor.username;
+        return { ...actor, id: actorUrl, username, acct: `${username}@${new URL(actorUrl).hostname}` };
+      })
+      .catch(() => null));
+  }
+  return actorCache.get(actorUrl);
+};
+
+// 依次尝试：自己实例搜索（已登录时）→ 原帖实例的 Mastodon API → ActivityPub JSON
+// 返回 { status, gone }，无法获取时返回 null
+const lookupBoostedStatus = async (url, { homeDomain, actorCache, options }) => {
+  const token = homeDomain ? getAuthToken(homeDomain) : null;
+  if (token) {
+    const found = await searchStatusOnInstance(homeDomain, url, token, options).catch(() => null);
+    if (found?.status) return { status: found.status, gone: false };
+  }
+  if (enrichStopRef) return null;
+
+  const origin = await fetchStatusFromOrigin(url, options).catch(() => null);
+  if (origin?.status) return origin;
+  if (enrichStopRef) return null;
+
+  const object = await fetchActivityPubObject(url, options).catch(() => null);
+  const note = object?.data;
+  if (note && note.attributedTo) {
+    const attributedTo = [].concat(note.attributedTo)[0];
+    const actorUrl = typeof attributedTo === 'string' ? attributedTo : attributedTo.id;
+    const author = await resolveActivityPubAuthor(actorUrl, actorCache, options);
+    return {
+      status: convertActivityPubNote(note, author || {
+        id: actorUrl,
+        username: 'unknown',
+        acct: 'unknown',
+        display_name: 'Unknown',
+        url: actorUrl,
+        avatar: '',
+      }),
+      gone: false,
+    };
+  }
+  if (origin?.gone || object?.gone) return { status: null, gone: true };
+  return null;
+};
+
+const updateEnrichmentProgress = () => {
+  const doneElement = document.getElementById('enrich-done');
+  if (doneElement) {
+    doneElement.textContent = state.enrichment.done;
+  }
+  const failedElement = document.getElementById('enrich-failed');
+  if (failedElement) {
+    failedElement.textContent = state.enrichment.failed;
+  }
+};
+
+// 逐条补全未解析的转嘟，可暂停/停止；每条结果立即写入缓存
+const resolveReblogs = async () => {
+  const targets = state.allStatuses.filter(isUnresolvedReblog);
+  if (targets.length === 0 || state.enrichment) return;
+
+  enrichPausedRef = false;
+  enrichStopRef = false;
+  state.enrichment = { total: targets.length, done: 0, resolved: 0, failed: 0, isPaused: false };
+  render();
+
+  const accountId = state.currentAccount.id;
+  const context = {
+    homeDomain: extractDomainFromAccount(state.currentAccount),
+    actorCache: new Map(),
+    // 跨域失败在浏览器中表现为网络错误，少重试几次以免每条都等待很久
+    options: { shouldStop: () => enrichStopRef, onWait: notifyFetchWait, maxRetries: 2 },
+  };
+
+  try {
+    for (const status of targets) {
+      while (enrichPausedRef && !enrichStopRef) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      if (enrichStopRef) break;
+
+      const url = status.reblog.url;
+      const result = await lookupBoostedStatus(url, context);
+      if (enrichStopRef) break;
+      clearFetchNotice();
+
+      if (result) {
+        fillReblog(status, result.status, result.gone);
+        try {
+          await saveRemoteStatus(url, result.status, result.gone);
+          if (state.isCached) await putStatus(accountId, status);
+        } catch (e) {
+          console.warn('Failed to cache reblog:', e);
+        }
+      }
+      if (result && !result.gone) state.enrichment.resolved++;
+      else state.enrichment.failed++;
+      state.enrichment.done++;
+      updateEnrichmentProgress();
+    }
+  } finally {
+    state.enrichment = null;
+    state.fetchNotice = null;
+    render();
+  }
+};
+
+const toggleEnrichmentPause = () => {
+  if (!state.enrichment) return;
+  enrichPausedRef = !enrichPausedRef;
+  state.enrichment.isPaused = enrichPausedRef;
+  render();
+};
+
+const stopEnrichment = () => {
+  enrichStopRef = true;
+  enrichPausedRef = false;
+  if (state.enrichment) state.enrichment.isPaused = false;
+  render();
+};
+
+// -------------------------------------------------------------------------
+// 对话上下文：在抽中的嘟文上下显示上文与回复
+// 按 实例:嘟文ID 缓存在内存和 IndexedDB 中，重复抽到时直接显示
+// -------------------------------------------------------------------------
+const threadCache = new Map();
+
+// 混合模式下当前嘟文所属的账户库账户
+const getPickedSource = () => (state.mixedPool
+  ? state.mixedPool.sources.find(source => source.id === state.currentSourceId) || null
+  : null);
+
+// 查询上下文的实例、平台与嘟文 ID；无法确定时返回 null
+// 抓取的数据使用抓取时的实例（经由自己实例抓取时 ID 属于自己的实例）；存档导入的数据按嘟文链接找到原实例
+const getThreadTarget = (status, source = null) => {
+  if (!status) return null;
+  const target = status.reblog || status;
+  const account = source ? source.account : state.currentAccount;
+  const platform = source ? source.platform : state.platformLocked;
+  if (!account) return null;
+
+  if (platform === 'misskey' || isMastodonCompatible(platform)) {
+    const domain = account.fetched_via || extractDomainFromAccount(account);
+    return domain ? { key: `${domain}:${target.id}`, domain, platform, id: target.id } : null;
+  }
+
+  const parsed = parseMastodonStatusUrl(target.uri || '') || parseMastodonStatusUrl(target.url || '');
+  return parsed ? { key: `${parsed.host}:${parsed.id}`, domain: parsed.host, platform: 'mastodon', id: parsed.id } : null;
+};
+
+// 回复的层级（相对于抽中的嘟文），用于缩进显示
+const withReplyDepth = (descendants, rootId) => {
+  const depths = new Map([[rootId, 0]]);
+  return descendants.map((status) => {
+    const depth = (depths.get(status.in_reply_to_id) ?? 0) + 1;
+    depths.set(status.id, depth);
+    return { status, depth };
+  });
+};
+
+const fetchThread = async ({ domain, platform, id }) => {
+  if (platform === 'misskey') {
+    const context = await callMisskeyWithAuth(domain, token => getNoteContext(domain, id, { token }));
+    // 无法转换的帖子返回 null，与时间线抓取一样过滤掉
+    const descendants = context.children.map(note => convertMisskeyNoteToStatus(note, domain)).filter(Boolean);
+    return {
+      ancestors: context.ancestors.map(note => convertMisskeyNoteToStatus(note, domain)).filter(Boolean),
+      descendants: withReplyDepth(descendants, id),
+    };
+  }
+
+  const headers = {};
+  const token = getAuthToken(domain);
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await scheduledFetch(`https://${domain}/api/v1/statuses/${id}/context`, { headers }, { onWait: notifyFetchWait });
+  clearFetchNotice();
+  if (!res.ok) {
+    throw new Error(res.status === 401 || res.status === 403
+      ? '该实例需要登录才能查看对话'
+      : `获取对话失败: ${res.status} ${res.statusText}`);
+  }
+  const context = await res.json();
+  return {
+    ancestors: (context.ancestors || []).map(s => normalizeStatus(s, platform)),
+    descendants: withReplyDepth((context.descendants || []).map(s => normalizeStatus(s, platform)), id),
+  };
+};
+
+// 显示 / 收起当前嘟文的对话
+const toggleThread = async () => {
+  const source = getPickedSource();
+  const target = getThreadTarget(state.currentStatus, source);
+  if (!target) return;
+
+  if (state.thread && state.thread.key === target.key) {
+    if (!state.thread.loading) {
+      state.thread = null;
+      render();
+    }
+    return;
+  }
+
+  let cached = threadCache.get(target.key);
+  if (!cached) {
+    cached = await loadThread(target.key).catch(() => null);
+    if (cached) threadCache.set(target.key, cached);
+  }
+  if (cached) {
+    state.thread = { key: target.key, loading: false, error: null, ...cached };
+    render();
+    return;
+  }
+
+  state.thread = { key: target.key, loading: true, error: null, ancestors: [], descendants: [] };
+  render();
+  try {
+    const thread = await fetchThread(target);
+    threadCache.set(target.key, thread);
+    saveThread(target.key, thread).catch(e => console.warn('Failed to cache thread:', e));
+    if (state.thread?.key === target.key) state.thread = { key: target.key, loading: false, error: null, ...thread };
+  } catch (e) {
+    if (state.thread?.key === target.key) state.thread = { ...state.thread, loading: false, error: e.message };
+  }
+  render();
+};
+
+// -------------------------------------------------------------------------
+// 嘟文互动：在抽中的嘟文上喜欢、转嘟、收藏和回复
+// 只在已保存该实例 Token 时可用；Token 没有写入权限时请求重新授权
+// -------------------------------------------------------------------------
+
+// 可以互动时返回嘟文所在的实例、平台与 ID（与查看对话相同）
+const getInteractionTarget = (status, source = null) => {
+  const target = getThreadTarget(status, source);
+  return target && getAuthToken(target.domain) ? target : null;
+};
+
+// 带写入权限的 Token：已知只有读取权限时直接请求重新授权；force 表示现有 Token 已被拒绝
+const getWriteToken = async (domain, platform, { force = false } = {}) => {
+  const entry = state.authTokens[domain];
+  if (!force && entry?.token && hasWriteScope(entry.scopes) !== false) return entry.token;
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+  return promptForToken(domain, platform, { write: true });
+};
+
+const withWriteToken = async ({ domain, platform }, request) => {
+  try {
+    return await request(await getWriteToken(domain, platform));
+  } catch (err) {
+    if (!isPermissionError(err)) throw err;
+    return request(await getWriteToken(domain, platform, { force: true }));
+  }
+};
+
+// 互动状态写回缓存，重新打开账户时按钮状态不丢失
+const persistPickedStatus = async (status, source) => {
+  const accountId = source ? source.id : state.currentAccount?.id;
+  if (!accountId || (!source && !state.isCached)) return;
+  try {
+    await putStatus(accountId, status);
+  } catch (e) {
+    console.warn('Failed to update cached status:', e);
+  }
+};
+
+// 喜欢 / 转嘟 / 收藏（再次点击取消）
+const handleInteraction = async (action) => {
+  const status = state.currentStatus;
+  const source = getPickedSource();
+  const target = getInteractionTarget(status, source);
+  if (!target || state.interaction?.pending) return;
+  const subject = status.reblog || status;
+
+  state.interaction = { key: target.key, pending: action, error: null, notice: null };
+  render();
+  try {
+    const patch = await withWriteToken(target, token => toggleInteraction(target.domain, target.platform, subject, action, token));
+    Object.assign(subject, patch);
+    await persistPickedStatus(status, source);
+    state.interaction = null;
+  } catch (e) {
+    state.interaction = { key: target.key, pending: null, error: e.message, notice: null };
+  }
+  render();
+};
+
+const toggleReplyComposer = () => {
+  const status = state.currentStatus;
+  const target = getInteractionTarget(status, getPickedSource());
+  if (!target) return;
+  if (state.replyDraft && state.replyDraft.key === target.key) {
+    if (!state.replyDraft.sending) state.replyDraft = null;
+  } else {
+    const acct = (status.reblog || status).account?.acct;
+    state.replyDraft = { key: target.key, text: acct ? `@${acct} ` : '', sending: false };
+  }
+  render();
+};
+
+const sendReply = async () => {
+  const status = state.currentStatus;
+  const source = getPickedSource();
+  const target = getInteractionTarget(status, source);
+  const draft = state.replyDraft;
+  if (!target || !draft || draft.key !== target.key || draft.sending || !draft.text.trim()) return;
+  const subject = status.reblog || status;
+
+  state.replyDraft = { ...draft, sending: true };
+  state.interaction = { key: target.key, pending: 'reply', error: null, notice: null };
+  render();
+  try {
+    const created = await withWriteToken(target, token => postReply(target.domain, target.platform, subject, draft.text.trim(), token));
+    subject.replies_count = (subject.replies_count || 0) + 1;
+    await persistPickedStatus(status, source);
+
+    // 已加载的对话中追加这条回复
+    const reply = target.platform === 'misskey'
+      ? convertMisskeyNoteToStatus(created, target.domain)
+      : normalizeStatus(created, target.platform);
+    const thread = threadCache.get(target.key);
+    if (reply && thread) {
+      const updated = { ...thread, descendants: [...thread.descendants, { status: reply, depth: 1 }] };
+      threadCache.set(target.key, updated);
+      saveThread(target.key, updated).catch(e => console.warn('Failed to cache thread:', e));
+      if (state.thread?.key === target.key) state.thread = { ...state.thread, ...updated };
+    }
+
+    state.replyDraft = null;
+    state.interaction = { key: target.key, pending: null, error: null, notice: '回复已发送' };
+  } catch (e) {
+    state.replyDraft = { ...draft, sending: false };
+    state.interaction = { key: target.key, pending: null, error: e.message, notice: null };
+  }
+  render();
+};
+
+// -------------------------------------------------------------------------
+// 刷新已缓存的嘟文：同步编辑、删除和计数变化
+// 已删除的嘟文标记为 deleted，不再参与抽取；每条嘟文记录 refreshed_at
+// -------------------------------------------------------------------------
+let refreshPausedRef = false;
+let refreshStopRef = false;
+
+// 抽中的嘟文超过这个时间没有刷新时，显示时顺便刷新
+const PICKED_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+// 刷新使用抓取时的实例（嘟文 ID 属于该实例）；存档导入等没有实例 API 的数据返回 null
+const getRefreshTarget = (source = null) => {
+  const account = source ? source.account : state.currentAccount;
+  const platform = source ? source.platform : state.platformLocked;
+  if (!account || !(platform === 'misskey' || isMastodonCompatible(platform))) return null;
+  const domain = account.fetched_via || extractDomainFromAccount(account);
+  return domain ? { domain, platform } : null;
+};
+
+// 根据刷新结果生成新的嘟文对象（查询引擎按对象缓存正文，不能原地修改）
+const applyRefreshResult = (status, result, { domain, platform }) => {
+  const refreshed_at = new Date().toISOString();
+  if (result.gone) return { ...status, deleted: true, refreshed_at };
+  const fresh = result.data
+    ? (platform === 'misskey' ? convertMisskeyNoteToStatus(result.data, domain) : normalizeStatus(result.data, platform))
+    : null;
+  return fresh ? { ...status, ...fresh, deleted: false, refreshed_at } : { ...status, refreshed_at };
+};
+
+// 用刷新后的对象替换列表、当前嘟文和结果列表中的引用
+const replaceStatusObjects = (replacements, source = null) => {
+  if (replacements.size === 0) return;
+  const swap = status => replacements.get(status) || status;
+  if (source) source.statuses = source.statuses.map(swap);
+  state.allStatuses = state.allStatuses.map(swap);
+  if (state.currentStatus) state.currentStatus = swap(state.currentStatus);
+  if (state.queryResults) {
+    state.queryResults = state.queryResults.map(item => ({ ...item, status: swap(item.status) }));
+  }
+};
+
+const updateRefreshProgress = () => {
+  const doneElement = document.getElementById('refresh-done');
+  if (doneElement) {
+    doneElement.textContent = state.refresh.done;
+  }
+  const removedElement = document.getElementById('refresh-removed');
+  if (removedElement) {
+    removedElement.textContent = state.refresh.removed;
+  }
+};
+
+// 分批刷新当前账户的全部嘟文；从未刷新或最早刷新的优先，中途停止后再次运行会接着处理
+const refreshStatuses = async () => {
+  const target = getRefreshTarget();
+  if (!target || state.refresh || state.loading) return;
+
+  const queue = state.allStatuses
+    .filter(status => !status.deleted)
+    .sort((a, b) => (a.refreshed_at || '').localeCompare(b.refreshed_at || ''));
+  if (queue.length === 0) return;
+
+  refreshPausedRef = false;
+  refreshStopRef = false;
+  state.refresh = { total: queue.length, done: 0, updated: 0, removed: 0, failed: 0, isPaused: false };
+  render();
+
+  const accountId = state.currentAccount.id;
+  const options = { shouldStop: () => refreshStopRef, onWait: notifyFetchWait, maxRetries: 2 };
+
+  try {
+    for (let i = 0; i < queue.length; i += REFRESH_BATCH_SIZE) {
+      while (refreshPausedRef && !refreshStopRef) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      if (refreshStopRef) break;
+
+      const batch = queue.slice(i, i + REFRESH_BATCH_SIZE);
+      const results = await fetchStatusesByIds(target.domain, target.platform, batch.map(status => String(status.id)),
+        getAuthToken(target.domain), options);
+      if (!results || refreshStopRef) break;
+      clearFetchNotice();
+
+      const replacements = new Map();
+      batch.forEach((status) => {
+        const result = results.get(String(status.id));
+        if (!result) {
+          state.refresh.failed++;
+          return;
+        }
+        const updated = applyRefreshResult(status, result, target);
+        if (updated.deleted) state.refresh.removed++;
+        else state.refresh.updated++;
+        replacements.set(status, updated);
+      });
+      replaceStatusObjects(replacements);
+      if (state.isCached && replacements.size > 0) {
+        try {
+          await putStatuses(accountId, [...replacements.values()]);
+        } catch (e) {
+          console.warn('Failed to cache refreshed statuses:', e);
+        }
+      }
+      state.refresh.done += batch.length;
+      updateRefreshProgress();
+    }
+  } catch (err) {
+    state.error = err.message || '发生未知错误';
+  } finally {
+    state.refresh = null;
+    state.fetchNotice = null;
+    render();
+  }
+};
+
+const toggleRefreshPause = () => {
+  if (!state.refresh) return;
+  refreshPausedRef = !refreshPausedRef;
+  state.refresh.isPaused = refreshPausedRef;
+  render();
+};
+
+const stopRefresh = () => {
+  refreshStopRef = true;
+  refreshPausedRef = false;
+  if (state.refresh) state.refresh.isPaused = false;
+  render();
+};
+
+// 抽中的嘟文较久没有刷新时，显示的同时重新获取一次
+const refreshPickedStatus = async () => {
+  const status = state.currentStatus;
+  const source = getPickedSource();
+  const target = getRefreshTarget(source);
+  if (!status || !target) return;
+  if (status.refreshed_at && Date.now() - new Date(status.refreshed_at).getTime() < PICKED_REFRESH_INTERVAL) return;
+
+  try {
+    const results = await fetchStatusesByIds(target.domain, target.platform, [String(status.id)],
+      getAuthToken(target.domain), { maxRetries: 1 });
+    const result = results?.get(String(status.id));
+    if (!result) return;
+    const updated = applyRefreshResult(status, result, target);
+    replaceStatusObjects(new Map([[status, updated]]), source);
+    const accountId = source ? source.id : state.currentAccount?.id;
+    if (accountId && (source || state.isCached)) await putStatuses(accountId, [updated]);
+    if (state.currentStatus === updated) render();
+  } catch (e) {
+    console.warn('Failed to refresh picked status:', e);
+  }
+};
+
+const isZipFile = (file) => /\.zip$/i.test(file.name) || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+
+// Mastodon 存档 ZIP：只读取中央目录，媒体以 archive-media: 地址占位，显示时再按需从 ZIP 中读取
+// 这样多 GB 的存档也不需要一次性读入内存
+const ARCHIVE_MEDIA_PREFIX = 'archive-media:';
+let archiveZip = null;
+let archiveEntries = new Map(); // 条目路径 -> ZIP 条目
+const archiveMediaUrls = new Map(); // archive-media 地址 -> blob URL（或读取中的 Promise）
+
+const importMastodonArchiveZip = async (file) => {
+  const zip = await openZip(file);
+
+  // 释放上一个存档的媒体
+  archiveMediaUrls.forEach((url) => {
+    if (typeof url === 'string') URL.revokeObjectURL(url);
+  });
+  archiveMediaUrls.clear();
+  archiveZip = zip;
+  archiveEntries = new Map(zip.entries.map(entry => [entry.name, entry]));
+
+  const byPath = new Map(zip.entries.map(entry => [entry.name.toLowerCase(), entry]));
+  const byName = new Map(zip.entries.map(entry => [entry.name.split('/').pop().toLowerCase(), entry]));
+  // 存档可能多包一层目录，找不到完整路径时按文件名匹配
+  const findEntry = (path) => {
+    const clean = path.replace(/^\/+/, '').toLowerCase();
+    return byPath.get(clean) || byName.get(clean.split('/').pop()) || null;
+  };
+
+  const outboxEntry = findEntry('outbox.json');
+  if (!outboxEntry) {
+    throw new Error('在 ZIP 中未找到 outbox.json 文件。请确认选择的是 Mastodon 导出的存档。');
+  }
+  const actorEntry = findEntry('actor.json');
+
+  await importMastodonArchive({
+    actorText: actorEntry ? await readZipEntryText(zip, actorEntry) : null,
+    outboxText: await readZipEntryText(zip, outboxEntry),
+    resolveLocalFile: (path) => {
+      const entry = findEntry(path);
+      return entry ? `${ARCHIVE_MEDIA_PREFIX}${encodeURIComponent(entry.name)}` : null;
+    },
+  });
+};
+
+// 导入 Misskey / Sharkey 的帖子导出文件；导出中不含用户信息，账户取自输入框中的主页链接
+// resolveDriveFile: 选择文件夹导入时把附件转换为本地地址，找不到时返回 null
+const importMisskeyNotesExport = async (notes, resolveDriveFile = null) => {
+  let parsed = null;
+  try {
+    parsed = parseMisskeyUrl((await resolveAccountInput(state.urlInput)).profileUrl);
+  } catch (e) {
+    console.warn('Account input not resolved:', e);
+  }
+  if (!parsed) {
+    throw new Error('Misskey 导出文件中不含账户信息，请先在上方输入框填写该账户的主页链接（例如 https://misskey.io/@username），再导入。');
+  }
+  const { domain, username } = parsed;
+
+  // 优先使用附件上记录的用户 ID，与在线抓取时一致，已读记录可以共用
+  let userId = notes.flatMap(note => note.files || []).find(file => file && file.userId)?.userId || null;
+  if (!userId) {
+    try {
+      userId = await getUserId(domain, username, null, getAuthToken(domain));
+    } catch (e) {
+      console.warn('Failed to look up Misskey user id, falling back to handle:', e);
+      userId = `${username}@${domain}`;
+    }
+  }
+
+  const user = { id: userId, username, host: null, name: username, avatarUrl: '' };
+  const statuses = notes
+    // 纯转发在导出中只有 renoteId，没有被转发的内容，无法离线显示
+    .filter(note => !(note.renoteId && !note.text && (note.fileIds || []).length === 0))
+    .map((note) => {
+      const files = (note.files || []).map((file) => {
+        const localUrl = resolveDriveFile ? resolveDriveFile(file) : null;
+        return localUrl ? { ...file, url: localUrl, thumbnailUrl: localUrl } : file;
+      });
+      return convertMisskeyNoteToStatus({ ...note, files, user, userId }, domain);
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+
+  state.currentAccount = {
+    id: userId,
+    username,
+    acct: username,
+    display_name: username,
+    url: `https://${domain}/@${username}`,
+    avatar: '',
+    note: '',
+    locked: false,
+    bot: false,
+    created_at: null
+  };
+  state.allStatuses = statuses;
+  state.platformLocked = 'misskey';
+  await loadHistory(userId);
+
+  // 实例表情（离线时忽略）
+  try {
+    state.misskeyEmojis = await getInstanceEmojis(domain, { token: getAuthToken(domain) });
+  } catch (e) {
+    console.warn('Failed to fetch Misskey instance emojis:', e);
+  }
+};
+
+// 在文件夹中查找 Misskey 帖子导出文件（通常名为 notes-日期.json）
+const findMisskeyNotesExport = async (fileMap) => {
+  const candidates = [...fileMap.entries()]
+    .filter(([name]) => name.endsWith('.json'))
+    .sort(([a], [b]) => Number(b.startsWith('notes')) - Number(a.startsWith('notes')));
+  for (const [, file] of candidates) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (isMisskeyNotesExport(data)) return data;
+    } catch {
+      // 不是有效的 JSON，继续查找
+    }
+  }
+  return null;
+};
+
+// 从 ZIP 中读取一个媒体文件并生成 blob URL（同一文件只读取一次）
+const loadArchiveMedia = (url) => {
+  if (!archiveMediaUrls.has(url)) {
+    const entry = archiveEntries.get(decodeURIComponent(url.slice(ARCHIVE_MEDIA_PREFIX.length)));
+    const pending = !entry || !archiveZip
+      ? Promise.resolve(null)
+      : readZipEntryBlob(archiveZip, entry)
+        .then((blob) => {
+          const objectUrl = URL.createObjectURL(blob);
+          archiveMediaUrls.set(url, objectUrl);
+          return objectUrl;
+        })
+        .catch((e) => {
+          console.warn('Failed to read archive media:', e);
+          archiveMediaUrls.delete(url);
+          return null;
+        });
+    archiveMediaUrls.set(url, pending);
+  }
+  return Promise.resolve(archiveMediaUrls.get(url));
+};
+
+// 渲染后把页面上的 archive-media: 地址替换为 blob URL
+const hydrateArchiveMedia = () => {
+  if (!archiveZip) return;
+  const selector = ['src', 'href', 'poster'].map(attr => `[${attr}^="${ARCHIVE_MEDIA_PREFIX}"]`).join(',');
+  document.querySelectorAll(selector).forEach((el) => {
+    ['src', 'href', 'poster'].forEach((attr) => {
+      const url = el.getAttribute(attr);
+      if (!url || !url.startsWith(ARCHIVE_MEDIA_PREFIX)) return;
+      const cached = archiveMediaUrls.get(url);
+      if (typeof cached === 'string') {
+        el.setAttribute(attr, cached);
+        return;
+      }
+      loadArchiveMedia(url).then((objectUrl) => {
+        if (objectUrl) el.setAttribute(attr, objectUrl);
+      });
+    });
+  });
+};
+
+// Handle File Import (supports JSON file, Mastodon archive ZIP, or folder containing an unzipped archive)
 const handleFileUpload = async (e) => {
   const files = e.target.files;
   if (!files || files.length === 0) return;
@@ -1186,6 +2633,12 @@ const handleFileUpload = async (e) => {
   state.currentStatus = null;
   state.currentAccount = null;
   state.allStatuses = [];
+  state.isCached = false;
+  state.mixedPool = null;
+  state.queryResults = null;
+  state.currentSourceId = null;
+  state.crawlCursor = null;
+  state.platformLocked = null;
   state.misskeyEmojis = {};
   render();
 
@@ -1217,30 +2670,6 @@ const handleFileUpload = async (e) => {
         }
       }
 
-      let actorAccount = null;
-      if (actorFile) {
-        try {
-          const actorText = await actorFile.text();
-          const actorData = JSON.parse(actorText);
-          actorAccount = parseActivityPubActor(actorData);
-          
-          // 处理头像文件（如果存在）
-          if (actorAccount && actorData.icon) {
-            const iconUrl = typeof actorData.icon === 'string' ? actorData.icon : actorData.icon.url;
-            if (iconUrl && !iconUrl.startsWith('http')) {
-              // 相对路径，查找对应的文件
-              const iconFileName = iconUrl.split('/').pop();
-              const iconFile = fileMap.get(iconFileName.toLowerCase());
-              if (iconFile) {
-                actorAccount.avatar = URL.createObjectURL(iconFile);
-              }
-            }
-          }
-        } catch (e) {
-          console.warn('解析actor.json失败:', e);
-        }
-      }
-
       // 查找outbox.json文件
       let outboxFile = fileMap.get('outbox.json');
       if (!outboxFile) {
@@ -1254,30 +2683,32 @@ const handleFileUpload = async (e) => {
       }
 
       if (!outboxFile) {
-        throw new Error('在文件夹中未找到 outbox.json 文件。请确保选择的是 Mastodon 导出的存档解压后的文件夹。');
+        // 没有 outbox.json 时尝试 Misskey 导出：帖子 JSON 与下载的云盘文件放在同一文件夹
+        const notes = await findMisskeyNotesExport(fileMap);
+        if (!notes) {
+          throw new Error('在文件夹中未找到 outbox.json 或 Misskey 帖子导出文件。请确保选择的是 Mastodon 存档解压后的文件夹，或包含 Misskey 导出文件的文件夹。');
+        }
+        // 云盘文件按存储文件名（URL 末段）匹配，其次按上传时的原始文件名
+        await importMisskeyNotesExport(notes, (driveFile) => {
+          const storedName = driveFile.url ? decodeURIComponent(driveFile.url.split('?')[0].split('/').pop()) : '';
+          const file = fileMap.get(storedName.toLowerCase())
+            || (driveFile.name ? fileMap.get(driveFile.name.toLowerCase()) : null);
+          return file ? URL.createObjectURL(file) : null;
+        });
+        return;
       }
 
-      const outboxText = await outboxFile.text();
-      const outboxData = JSON.parse(outboxText);
-
-      // 解析ActivityPub格式（传入actor账户信息和文件映射，用于处理媒体文件）
-      const { statuses, account } = parseActivityPubOutbox(outboxData, actorAccount, fileMap);
-
-      state.currentAccount = account;
-      state.allStatuses = statuses;
-
-      // 设置urlInput以便继续抓取时能正确解析域名
-      if (account.url) {
-        state.urlInput = account.url;
-      }
-
-      loadHistory(account.id);
-
-      // Fetch custom emojis for this instance
-      const domain = extractDomainFromAccount(account);
-      if (domain) {
-        await fetchCustomEmojis(domain);
-      }
+      await importMastodonArchive({
+        actorText: actorFile ? await actorFile.text() : null,
+        outboxText: await outboxFile.text(),
+        resolveLocalFile: (path) => {
+          const file = fileMap.get(path.split('/').pop().toLowerCase());
+          return file ? URL.createObjectURL(file) : null;
+        },
+      });
+    } else if (isZipFile(files[0])) {
+      // 直接读取 Mastodon 导出的 ZIP 存档，无需解压
+      await importMastodonArchiveZip(files[0]);
     } else {
       // 处理单个JSON文件（原有逻辑）
       const file = files[0];
@@ -1292,6 +2723,12 @@ const handleFileUpload = async (e) => {
           let account = null;
           let restoredIds = null;
 
+          // Misskey / Sharkey 的帖子导出
+          if (isMisskeyNotesExport(jsonContent)) {
+            await importMisskeyNotesExport(jsonContent);
+            return;
+          }
+
           // 检查是否是ActivityPub outbox格式
           if (jsonContent.type === 'OrderedCollection' && jsonContent.orderedItems) {
             const parsed = parseActivityPubOutbox(jsonContent);
@@ -1327,10 +2764,11 @@ const handleFileUpload = async (e) => {
           }
           
           if (restoredIds) {
+              await loadHistory(account.id);
               state.viewedIds = restoredIds;
               saveHistory(account.id, restoredIds);
           } else {
-              loadHistory(account.id);
+              await loadHistory(account.id);
           }
           
            // Fetch custom emojis for Mastodon；Misskey 的表情已随备份恢复
@@ -1357,65 +2795,79 @@ const handleFileUpload = async (e) => {
   }
 };
 
-// Handle Random Pick - 增加显示筛选逻辑
-const pickRandomStatus = () => {
-  if (!state.currentAccount || state.allStatuses.length === 0) return;
+// 应用显示筛选 (Display Filter) 与查询条件
+const applyDisplayFilter = (statuses) => filterStatuses(statuses, state.displayFilter);
 
-  // 1. 应用显示筛选 (Display Filter)
-  let pool = state.allStatuses;
-
-  // 筛选：回复 (使用 in_reply_to_id 字段判断)
-  if (!state.displayFilter.showReplies) {
-    pool = pool.filter(s => {
-      // 检查是否是回复：in_reply_to_id 不为 null
-      // 注意：转发帖子的回复状态应该看 reblog.in_reply_to_id
-      if (s.reblog) {
-        // 如果是转发，检查被转发的帖子是否是回复
-        return !s.reblog.in_reply_to_id;
-      }
-      return !s.in_reply_to_id;
-    });
+const RESULTS_PAGE_SIZE = 20;
+
+// 列出当前筛选/查询下的全部匹配嘟文（混合模式下包含所有账户）
+const showQueryResults = () => {
+  let results;
+  if (state.mixedPool) {
+    results = state.mixedPool.sources
+      .flatMap(source => applyDisplayFilter(source.statuses).map(status => ({ status, source })))
+      .sort((a, b) => new Date(b.status.created_at).getTime() - new Date(a.status.created_at).getTime());
+  } else {
+    results = applyDisplayFilter(state.allStatuses).map(status => ({ status, source: null }));
   }
-  // 筛选：转嘟 (reblog 不为 null)
-  if (!state.displayFilter.showReblogs) {
-    pool = pool.filter(s => !s.reblog);
+  state.queryResults = results;
+  state.queryResultsLimit = RESULTS_PAGE_SIZE;
+  render();
+};
+
+// 没有候选嘟文时，按策略给出提示；pools 为各账户的 { pool, viewedIds, reviews }
+const handleNoCandidates = (pools, now) => {
+  if (state.pickStrategy === 'spaced') {
+    const nextAt = pools
+      .map(({ pool, reviews }) => getNextReviewAt(pool, reviews))
+      .filter(t => t !== null)
+      .sort((a, b) => a - b)[0];
+    alert(nextAt
+      ? `暂时没有需要重温的嘟文，也没有未读嘟文。下一条将在 ${formatDate(nextAt)} 到期。`
+      : '当前筛选范围内没有可重温的嘟文。');
+    return;
   }
 
-  // 筛选：日期范围
-  // 对于转发帖子，使用被转发帖子的日期；对于普通帖子，使用原帖日期
-  if (state.displayFilter.startDate) {
-    const start = new Date(state.displayFilter.startDate).getTime();
-    pool = pool.filter(s => {
-      const dateToCheck = s.reblog ? s.reblog.created_at : s.created_at;
-      return new Date(dateToCheck).getTime() >= start;
-    });
+  if (state.pickStrategy === 'on_this_day') {
+    const hasOnThisDay = pools.some(({ pool }) => getStrategyCandidates('on_this_day', pool, { viewedIds: new Set(), now }).length > 0);
+    if (!hasOnThisDay) {
+      alert('当前筛选范围内没有往年今日发布的嘟文。');
+      return;
+    }
   }
-  if (state.displayFilter.endDate) {
-    // 结束日期包含当天，所以加一天或设为 23:59:59
-    const end = new Date(state.displayFilter.endDate).getTime() + 86400000;
-    pool = pool.filter(s => {
-      const dateToCheck = s.reblog ? s.reblog.created_at : s.created_at;
-      return new Date(dateToCheck).getTime() < end;
-    });
+
+  if (window.confirm('当前筛选范围内已看完全部嘟文。是否重置记录并重新开始？')) {
+    clearHistory(); // 简单重置，实际可能只想重置当前范围的，这里重置所有
   }
+};
 
-  // 2. 排除已读
-  const availableStatuses = pool.filter(s => !state.viewedIds.has(s.id));
+// Handle Random Pick - 增加显示筛选逻辑
+const pickRandomStatus = () => {
+  if (state.mixedPool) {
+    pickFromMixedPool();
+    return;
+  }
+  if (!state.currentAccount || state.allStatuses.length === 0) return;
+
+  // 1. 应用显示筛选 (Display Filter)
+  const pool = applyDisplayFilter(state.allStatuses);
 
   if (pool.length === 0) {
     alert('当前筛选条件下没有符合的嘟文，请调整筛选时间或类型。');
     return;
   }
 
-  if (availableStatuses.length === 0) {
-    if (window.confirm('当前筛选范围内已看完全部嘟文。是否重置记录并重新开始？')) {
-      clearHistory(); // 简单重置，实际可能只想重置当前范围的，这里重置所有
-    }
+  // 2. 按策略得出候选（通常为排除已读）
+  const now = Date.now();
+  const context = { viewedIds: state.viewedIds, reviews: state.reviews, now };
+  const candidates = getStrategyCandidates(state.pickStrategy, pool, context);
+
+  if (candidates.length === 0) {
+    handleNoCandidates([{ pool, viewedIds: state.viewedIds, reviews: state.reviews }], now);
     return;
   }
 
-  const randomIndex = Math.floor(Math.random() * availableStatuses.length);
-  const selected = availableStatuses[randomIndex];
+  const selected = chooseWithStrategy(state.pickStrategy, candidates, context);
 
   state.currentStatus = selected;
   
@@ -1423,84 +2875,270 @@ const pickRandomStatus = () => {
   newViewedIds.add(selected.id);
   state.viewedIds = newViewedIds;
   saveHistory(state.currentAccount.id, newViewedIds);
+
+  state.reviews = { ...state.reviews, [selected.id]: nextReview(state.reviews[selected.id], now) };
+  saveReviewHistory(state.currentAccount.id, state.reviews);
+  render();
+  refreshPickedStatus();
+};
+
+// 混合模式下的已读记录键（不同实例的嘟文 ID 可能重复，需带上账户 ID）
+const mixedViewedKey = (sourceId, statusId) => `${sourceId}:${statusId}`;
+
+// 混合随机：先按权重选出账户，再在该账户的候选嘟文中按策略抽取
+const pickFromMixedPool = () => {
+  const now = Date.now();
+  const candidates = state.mixedPool.sources.map(source => {
+    const pool = applyDisplayFilter(source.statuses);
+    const context = { viewedIds: source.viewedIds, reviews: source.reviews, now };
+    return {
+      source,
+      pool,
+      context,
+      available: getStrategyCandidates(state.pickStrategy, pool, context),
+    };
+  });
+
+  if (candidates.every(c => c.pool.length === 0)) {
+    alert('当前筛选条件下没有符合的嘟文，请调整筛选时间或类型。');
+    return;
+  }
+
+  const withAvailable = candidates.filter(c => c.available.length > 0);
+  if (withAvailable.length === 0) {
+    handleNoCandidates(candidates.map(c => ({ pool: c.pool, viewedIds: c.source.viewedIds, reviews: c.source.reviews })), now);
+    return;
+  }
+
+  // 'equal'：每个账户机会相同；'count'：按账户（筛选后）嘟文数量加权
+  const weights = withAvailable.map(c => (state.mixedPool.weighting === 'count' ? c.pool.length : 1));
+  const chosen = weightedChoice(withAvailable, weights);
+
+  const { source } = chosen;
+  const selected = chooseWithStrategy(state.pickStrategy, chosen.available, chosen.context);
+
+  state.currentStatus = selected;
+  state.currentSourceId = source.id;
+
+  source.viewedIds = new Set(source.viewedIds);
+  source.viewedIds.add(selected.id);
+  saveHistory(source.id, source.viewedIds);
+
+  source.reviews = { ...source.reviews, [selected.id]: nextReview(source.reviews[selected.id], now) };
+  saveReviewHistory(source.id, source.reviews);
+
+  const newViewedIds = new Set(state.viewedIds);
+  newViewedIds.add(mixedViewedKey(source.id, selected.id));
+  state.viewedIds = newViewedIds;
+  render();
+  refreshPickedStatus();
+};
+
+// 从账户库中打开混合随机池
+const openMixedPool = async (accountIds, weighting) => {
+  const sources = [];
+  try {
+    for (const id of accountIds) {
+      const meta = await getCachedAccount(id);
+      if (!meta || !meta.account) continue;
+      const statuses = await loadStatuses(meta.id);
+      if (statuses.length === 0) continue;
+      sources.push({
+        id: meta.id,
+        account: meta.account,
+        platform: meta.platform || 'mastodon',
+        statuses,
+        viewedIds: await loadViewedIds(meta.id),
+        reviews: await loadReviews(meta.id),
+        misskeyEmojis: await loadEmojis(meta.id),
+        sensitiveMedia: meta.sensitiveMedia,
+      });
+    }
+  } catch (e) {
+    console.warn('Failed to load mixed pool:', e);
+  }
+
+  if (sources.length < 2) {
+    state.error = '混合随机至少需要两个已缓存的账户。';
+    render();
+    return;
+  }
+
+  state.mixedPool = { weighting, sources };
+  state.currentAccount = {
+    id: 'mixed-pool',
+    username: 'mixed-pool',
+    acct: sources.map(source => source.account.acct).join(', '),
+    display_name: `混合随机池 (${sources.length} 个账户)`,
+    url: '',
+    avatar: sources[0].account.avatar,
+  };
+  state.allStatuses = sources
+    .flatMap(source => source.statuses)
+    .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+  state.viewedIds = new Set(sources.flatMap(source => Array.from(source.viewedIds, id => mixedViewedKey(source.id, id))));
+  state.currentStatus = null;
+  state.queryResults = null;
+  state.currentSourceId = null;
+  state.isCached = false;
+  state.platformLocked = null;
+  state.crawlCursor = null;
+  state.error = null;
+
+  // 合并各账户的表情：Misskey 随缓存恢复，Mastodon 按实例拉取
+  state.misskeyEmojis = Object.assign({}, ...sources.map(source => source.misskeyEmojis));
+  const mastodonDomains = new Set(
+    sources.filter(source => source.platform !== 'misskey').map(source => extractDomainFromAccount(source.account)).filter(Boolean)
+  );
+  const combinedEmojis = [];
+  for (const domain of mastodonDomains) {
+    await fetchCustomEmojis(domain);
+    combinedEmojis.push(...state.customEmojis);
+  }
+  state.customEmojis = combinedEmojis;
+
   render();
 };
 
 // Clear History
 const clearHistory = () => {
   if (!state.currentAccount) return;
-  saveHistory(state.currentAccount.id, new Set());
+  if (state.mixedPool) {
+    state.mixedPool.sources.forEach(source => {
+      source.viewedIds = new Set();
+      source.reviews = {};
+      saveHistory(source.id, source.viewedIds);
+      saveReviewHistory(source.id, source.reviews);
+    });
+  } else {
+    saveHistory(state.currentAccount.id, new Set());
+    saveReviewHistory(state.currentAccount.id, {});
+  }
+  state.reviews = {};
   state.viewedIds = new Set();
   state.currentStatus = null;
   render();
 };
 
-// Return to Home
-const returnToHome = () => {
+// Return to Home（回到本地账户库）
+const returnToHome = async () => {
   state.currentAccount = null;
   state.allStatuses = [];
+  state.isCached = false;
+  state.mixedPool = null;
+  state.queryResults = null;
+  state.currentSourceId = null;
   state.currentStatus = null;
   state.viewedIds = new Set();
+  state.crawlCursor = null;
   state.error = null;
   state.loading = false;
   state.fetchCount = 0;
   fullscreenImageState = { currentIndex: null, images: [] };
+  await refreshLibrary();
   render();
 };
 
-// Auto-load cached data on page load
-const autoLoadCachedData = async () => {
-  // Find all cached data keys
-  const cachedKeys = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key && key.startsWith('cached_data_')) {
-      cachedKeys.push(key);
+// 读取本地账户库（含已读进度），最近使用的排在最前
+const refreshLibrary = async () => {
+  try {
+    const metas = (await listCachedAccounts()).filter(meta => meta.account && meta.statusCount > 0);
+    const entries = await Promise.all(metas.map(async (meta) => {
+      const viewedIds = await loadViewedIds(meta.id);
+      return { ...meta, viewedCount: viewedIds.size };
+    }));
+    entries.sort((a, b) => (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || ''));
+    state.library = entries;
+  } catch (e) {
+    console.warn('Failed to load account library:', e);
+    state.library = [];
+  }
+};
+
+// 从本地账户库打开某个账户，并记录为最近使用
+const openCachedAccount = async (accountId) => {
+  try {
+    const meta = await getCachedAccount(accountId);
+    if (!meta || !meta.account) return false;
+
+    const statuses = await loadStatuses(meta.id);
+    if (statuses.length === 0) return false;
+    const misskeyEmojis = await loadEmojis(meta.id);
+    const account = meta.account;
+
+    state.currentAccount = account;
+    state.allStatuses = statuses;
+    state.currentStatus = null;
+    state.isCached = true;
+    state.queryResults = null;
+    state.mixedPool = null;
+    state.currentSourceId = null;
+    state.error = null;
+    state.misskeyEmojis = misskeyEmojis;
+    state.customEmojis = [];
+    state.platformLocked = meta.platform || (misskeyEmojis && Object.keys(misskeyEmojis).length > 0 ? 'misskey' : 'mastodon');
+    state.pickStrategy = isValidStrategy(meta.pickStrategy) ? meta.pickStrategy : DEFAULT_STRATEGY;
+    state.sensitiveMedia = isValidSensitiveMediaMode(meta.sensitiveMedia) ? meta.sensitiveMedia : DEFAULT_SENSITIVE_MEDIA;
+    state.crawlCursor = meta.crawlCursor || null;
+    if (account.url) {
+      state.urlInput = account.url;
+    }
+    await loadHistory(account.id);
+    await saveCachedAccount(meta.id, { lastOpenedAt: new Date().toISOString() });
+
+    // Mastodon 自定义表情仍需拉取；Misskey 在缓存中恢复
+    const domain = extractDomainFromAccount(account);
+    if (domain && (!misskeyEmojis || Object.keys(misskeyEmojis).length === 0)) {
+      await fetchCustomEmojis(domain);
     }
+
+    return true;
+  } catch (e) {
+    state.error = `打开本地缓存失败：${e.message || '发生未知错误'}`;
+    return false;
+  } finally {
+    state.loading = false;
+    render();
   }
+};
 
-  if (cachedKeys.length === 0) {
-    return; // No cached data
+// 打开账户后立即抓取更新
+const refreshCachedAccount = async (accountId) => {
+  if (await openCachedAccount(accountId)) {
+    await executeFetch('newer');
   }
+};
 
-  // Try to load the most recent cache (or first one if multiple)
-  // For simplicity, we'll use the first one found
-  // In a more sophisticated version, we could track which was last used
-  const cacheKey = cachedKeys[0];
-  const accountId = cacheKey.replace('cached_data_', '');
-  
+// 从本地账户库删除某个账户的缓存与已读记录
+const deleteLibraryEntry = async (accountId) => {
+  const entry = state.library.find(e => e.id === accountId);
+  const name = entry?.account?.acct || accountId;
+  if (!window.confirm(`确定删除 @${name} 的本地缓存和已读记录吗？`)) return;
   try {
-    const cached = JSON.parse(localStorage.getItem(cacheKey));
-    let account = null;
-    let statuses = [];
-    let misskeyEmojis = {};
-    let platform = null;
-
-    if (Array.isArray(cached)) {
-      // 旧格式：仅存储 statuses 数组
-      statuses = cached;
-      account = statuses[0]?.account || null;
-    } else if (cached && Array.isArray(cached.statuses)) {
-      // 新格式：包含 account、statuses、misskeyEmojis
-      statuses = cached.statuses;
-      account = cached.account || (statuses[0]?.account ?? null);
-      misskeyEmojis = cached.misskeyEmojis || {};
-      platform = cached.platform || null;
+    await deleteCachedAccount(accountId);
+  } catch (e) {
+    console.warn('Failed to delete cached account:', e);
+    state.error = `删除本地缓存失败：${e.message || '发生未知错误'}`;
+  }
+  state.librarySelection = new Set(Array.from(state.librarySelection).filter(id => id !== accountId));
+  await refreshLibrary();
+  render();
+};
+
+// Auto-load cached data on page load
+const autoLoadCachedData = async () => {
+  try {
+    // 旧版本缓存在 localStorage 中，先迁移到 IndexedDB
+    await migrateLocalStorage();
+    await refreshLibrary();
+
+    if (state.library.length === 0) {
+      render();
+      return; // No cached data
     }
 
-    if (account && statuses.length > 0) {
-      state.currentAccount = account;
-      state.allStatuses = statuses;
-      state.misskeyEmojis = misskeyEmojis;
-      state.platformLocked = platform || (misskeyEmojis && Object.keys(misskeyEmojis).length > 0 ? 'misskey' : 'mastodon');
-      loadHistory(account.id);
-      
-      // Mastodon 自定义表情仍需拉取；Misskey 在缓存中恢复
-      const domain = extractDomainFromAccount(account);
-      if (domain && (!misskeyEmojis || Object.keys(misskeyEmojis).length === 0)) {
-        await fetchCustomEmojis(domain);
-      }
-      
+    // 打开最近使用的账户
+    if (!(await openCachedAccount(state.library[0].id))) {
       render();
     }
   } catch (e) {
@@ -1516,30 +3154,528 @@ const handleDownloadRaw = () => {
   }
 };
 
+// 生成含进度的备份文件
+// 嘟文逐条序列化后拼接为 Blob，避免为大量数据构造单个巨大的 JSON 字符串
+// fromCache 为 true 时从 IndexedDB 逐条读取嘟文，否则使用传入的 statuses
+const downloadBackupFile = async ({ account, platform, viewedIds, misskeyEmojis, statuses = [], fromCache = false }) => {
+  const prefix = platform === 'misskey' ? 'misskey' : 'mastodon';
+  const backupMeta = {
+    type: 'mastodon-picker-backup',
+    timestamp: new Date().toISOString(),
+    account,
+    viewedIds: Array.from(viewedIds || []),
+    misskeyEmojis: misskeyEmojis || {},
+  };
+  const parts = [JSON.stringify(backupMeta).slice(0, -1), ',"statuses":['];
+  const pushStatus = (status, idx) => {
+    if (idx > 0) parts.push(',');
+    parts.push(JSON.stringify(status));
+  };
+
+  let written = 0;
+  if (fromCache) {
+    try {
+      written = await iterateStatuses(account.id, pushStatus);
+    } catch (e) {
+      console.warn('Failed to read cached statuses, falling back to memory:', e);
+      parts.length = 2;
+      written = 0;
+    }
+  }
+  if (written === 0) {
+    statuses.forEach(pushStatus);
+  }
+  parts.push(']}');
+
+  const blob = new Blob(parts, { type: 'application/json' });
+  downloadBlob(blob, `${prefix}_backup_${account.username}_${new Date().toISOString().slice(0, 10)}.json`);
+};
+
 // Download Data with Progress
-const handleDownloadBackup = () => {
+const handleDownloadBackup = async () => {
   if (state.currentAccount && state.allStatuses.length > 0) {
-    const prefix = state.platform === 'misskey' ? 'misskey' : 'mastodon';
-    const backup = {
-      type: 'mastodon-picker-backup',
-      timestamp: new Date().toISOString(),
+    await downloadBackupFile({
       account: state.currentAccount,
+      platform: state.platformLocked,
+      viewedIds: state.viewedIds,
+      misskeyEmojis: state.misskeyEmojis,
       statuses: state.allStatuses,
-      viewedIds: Array.from(state.viewedIds),
-      misskeyEmojis: state.misskeyEmojis || {},
-    };
-    downloadJson(backup, `${prefix}_backup_${state.currentAccount.username}_${new Date().toISOString().slice(0, 10)}.json`);
+      fromCache: state.isCached,
+    });
+  }
+};
+
+// 从本地账户库直接导出某个账户（无需先打开）
+const exportLibraryEntry = async (accountId) => {
+  try {
+    const meta = await getCachedAccount(accountId);
+    if (!meta || !meta.account) return;
+    await downloadBackupFile({
+      account: meta.account,
+      platform: meta.platform,
+      viewedIds: await loadViewedIds(accountId),
+      misskeyEmojis: await loadEmojis(accountId),
+      fromCache: true,
+    });
+  } catch (e) {
+    console.warn('Failed to export cached account:', e);
+    state.error = `导出本地缓存失败：${e.message || '发生未知错误'}`;
+    render();
   }
 };
 
 // Global state for fullscreen image gallery
 let fullscreenImageState = {
   currentIndex: null, // null means closed
-  images: [], // Array of {url, description}
+  images: [], // Array of {type, url, preview_url, description, blurhash}
+};
+
+// 全屏查看中的图片、视频或音频
+const renderFullscreenMedia = (item) => {
+  const alt = escapeHtml(item.description || 'Fullscreen view');
+  const url = safeUrl(item.url);
+  if (item.type === 'video' || item.type === 'gifv') {
+    return `
+      <video 
+        src="${url}" 
+        class="max-w-full max-h-[85vh] rounded-md shadow-2xl"
+        ${item.type === 'gifv' ? 'autoplay muted loop playsinline' : 'controls autoplay'}
+        aria-label="${alt}"
+      ></video>
+    `;
+  }
+  if (item.type === 'audio') {
+    const cover = item.preview_url && item.preview_url !== item.url ? safeUrl(item.preview_url) : '';
+    return `
+      <div class="flex flex-col items-center gap-4 w-[80vw] max-w-xl">
+        ${cover
+          ? `<img src="${cover}" alt="" class="max-h-[50vh] object-contain rounded-md shadow-2xl" />`
+          : `<div class="text-white/60">${icons.Music(96)}</div>`}
+        <audio src="${url}" controls autoplay class="w-full" aria-label="${alt}"></audio>
+      </div>
+    `;
+  }
+  return `
+    <img 
+      src="${url}" 
+      alt="${alt}" 
+      class="max-w-full max-h-[85vh] object-contain rounded-md shadow-2xl select-none"
+    />
+  `;
+};
+
+// Library Entry Component
+const renderLibraryEntry = (entry) => {
+  const { id, account, platform, statusCount, lastFetchedAt, viewedCount } = entry;
+  const readCount = Math.min(viewedCount || 0, statusCount);
+  const percent = statusCount > 0 ? Math.round((readCount / statusCount) * 100) : 0;
+  const disabled = state.loading ? 'disabled' : '';
+  const safeId = escapeHtml(id);
+
+  return `
+    <li class="p-4 flex items-center gap-3">
+      ${state.library.length > 1 ? `
+        <input 
+          type="checkbox" 
+          data-library-select="${safeId}"
+          class="rounded text-indigo-600 focus:ring-indigo-500 flex-shrink-0"
+          title="加入混合随机池"
+          ${state.librarySelection.has(id) ? 'checked' : ''}
+        />
+      ` : ''}
+      <img 
+        src="${safeUrl(account.avatar)}" 
+        alt="${escapeHtml(account.display_name)}" 
+        class="w-10 h-10 rounded-full border border-slate-200 object-cover flex-shrink-0"
+      />
+      <div class="flex-1 min-w-0">
+        <div class="flex items-center gap-2">
+          <span class="font-semibold text-slate-800 truncate">${escapeHtml(account.display_name || account.username)}</span>
+          <span class="text-[10px] uppercase tracking-wider px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-600 flex-shrink-0">${escapeHtml(platform || 'mastodon')}</span>
+        </div>
+        <p class="text-xs text-slate-500 truncate">@${escapeHtml(account.acct)} · ${statusCount} 条 · ${lastFetchedAt ? `抓取于 ${formatDate(lastFetchedAt)}` : '抓取时间未知'}</p>
+        <div class="mt-1.5 flex items-center gap-2">
+          <div class="flex-1 h-1.5 bg-slate-100 rounded-full overflow-hidden">
+            <div class="h-full bg-indigo-500" style="width: ${percent}%"></div>
+          </div>
+          <span class="text-[10px] text-slate-400 flex-shrink-0">已读 ${readCount}/${statusCount}</span>
+        </div>
+      </div>
+      <div class="flex items-center gap-1 flex-shrink-0 text-slate-400">
+        <button data-library-open="${safeId}" class="p-1.5 rounded-md hover:bg-indigo-50 hover:text-indigo-600 transition-colors disabled:opacity-50" title="打开" ${disabled}>${icons.Shuffle(16)}</button>
+        <button data-library-refresh="${safeId}" class="p-1.5 rounded-md hover:bg-indigo-50 hover:text-indigo-600 transition-colors disabled:opacity-50" title="抓取更新" ${disabled}>${icons.RefreshCw(16)}</button>
+        <button data-library-export="${safeId}" class="p-1.5 rounded-md hover:bg-indigo-50 hover:text-indigo-600 transition-colors disabled:opacity-50" title="导出数据 + 进度" ${disabled}>${icons.Download(16)}</button>
+        <button data-library-delete="${safeId}" class="p-1.5 rounded-md hover:bg-red-50 hover:text-red-500 transition-colors disabled:opacity-50" title="删除本地缓存" ${disabled}>${icons.Trash2(16)}</button>
+      </div>
+    </li>
+  `;
+};
+
+// 凭据管理面板中的一项
+const maskToken = (token) => (token.length > 10 ? `${token.slice(0, 4)}…${token.slice(-4)}` : '••••');
+
+const renderCredentialEntry = ([domain, entry]) => {
+  const check = state.credentialChecks[domain];
+  // Misskey 用 Token 自身撤销；其他平台需要签发 Token 的应用凭证，只有本页登录获得的 Token 才能撤销
+  const canRevoke = entry.platform === 'misskey' || entry.source === 'oauth';
+  const safeDomain = escapeHtml(domain);
+
+  let checkHtml = '';
+  if (check && check.loading) {
+    checkHtml = `<p class="text-xs text-slate-500 flex items-center gap-1">${icons.Loader2(12)} 正在校验...</p>`;
+  } else if (check && check.error) {
+    checkHtml = `<p class="text-xs text-red-600">${escapeHtml(check.error)}</p>`;
+  } else if (check) {
+    checkHtml = `
+      <div class="flex items-center gap-2 text-xs text-slate-600">
+        ${check.account.avatar ? `<img src="${safeUrl(check.account.avatar)}" alt="" class="w-6 h-6 rounded-full border border-slate-200 object-cover" />` : ''}
+        <span class="text-green-600 font-medium">有效</span>
+        <span class="truncate">${escapeHtml(check.account.display_name)} (@${escapeHtml(check.account.acct)})</span>
+      </div>
+      <p class="text-xs text-slate-500">权限：<span class="font-mono">${escapeHtml(check.scopes || '未知')}</span>${check.appName ? ` · 应用：${escapeHtml(check.appName)}` : ''}</p>
+    `;
+  }
+
+  return `
+    <li class="p-4 flex flex-col gap-1.5">
+      <div class="flex items-center gap-2">
+        <span class="font-mono text-sm text-slate-800 truncate flex-1">${safeDomain}</span>
+        ${entry.platform ? `<span class="text-[10px] uppercase tracking-wider px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-600 flex-shrink-0">${escapeHtml(entry.platform)}</span>` : ''}
+        <span class="text-[10px] px-1.5 py-0.5 rounded bg-slate-100 text-slate-500 flex-shrink-0">${entry.source === 'oauth' ? '登录授权' : '手动粘贴'}</span>
+        <div class="flex items-center gap-1 flex-shrink-0 text-slate-400">
+          <button data-credential-verify="${safeDomain}" class="p-1.5 rounded-md hover:bg-indigo-50 hover:text-indigo-600 transition-colors" title="校验 Token">${icons.RefreshCw(16)}</button>
+          ${canRevoke ? `<button data-credential-revoke="${safeDomain}" class="p-1.5 rounded-md hover:bg-red-50 hover:text-red-500 transition-colors" title="在服务器上撤销">${icons.X(16)}</button>` : ''}
+          <button data-credential-delete="${safeDomain}" class="p-1.5 rounded-md hover:bg-red-50 hover:text-red-500 transition-colors" title="删除本地 Token">${icons.Trash2(16)}</button>
+        </div>
+      </div>
+      <p class="text-xs text-slate-400">Token：<span class="font-mono">${maskToken(entry.token)}</span>${entry.savedAt ? ` · 保存于 ${formatDate(entry.savedAt)}` : ''}</p>
+      ${checkHtml}
+    </li>
+  `;
+};
+
+// 凭据管理面板：列出、校验、删除/撤销 Token，设置加密口令
+const renderCredentialsPanel = () => {
+  const entries = Object.entries(state.authTokens).sort(([a], [b]) => a.localeCompare(b));
+  const inputClass = 'flex-1 border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none';
+  const buttonClass = 'px-3 py-1 rounded bg-slate-100 text-slate-700 hover:bg-slate-200 text-xs font-medium transition-colors';
+
+  return `
+    <div class="w-full max-w-xl mb-6 animate-fade-in">
+      <div class="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+        <div class="px-4 py-3 bg-slate-50 border-b border-slate-100 flex items-center gap-2 text-slate-700 font-medium text-sm">
+          ${icons.Key(16)} <span class="flex-1">已保存的 Token</span>
+          <button id="close-credentials" class="text-slate-400 hover:text-slate-600 transition-colors" title="关闭">${icons.X(16)}</button>
+        </div>
+        ${state.credentialsError ? `<p class="px-4 pt-3 text-sm text-red-600">${escapeHtml(state.credentialsError)}</p>` : ''}
+        ${state.tokensLocked ? `
+          <div class="p-4 flex flex-col gap-2 text-sm">
+            <p class="text-slate-600 flex items-center gap-2">${icons.Lock(16)} 保存的 Token 已加密，请输入口令解锁。</p>
+            <div class="flex gap-2">
+              <input type="password" id="credentials-passphrase" class="${inputClass}" placeholder="口令" />
+              <button id="credentials-unlock" class="${buttonClass}">解锁</button>
+            </div>
+          </div>
+        ` : `
+          ${entries.length > 0 ? `
+            <ul class="divide-y divide-slate-100">
+              ${entries.map(renderCredentialEntry).join('')}
+            </ul>
+          ` : '<p class="p-4 text-sm text-slate-400">还没有保存任何 Token。</p>'}
+          <div class="px-4 py-3 bg-slate-50 border-t border-slate-100 flex flex-col gap-3 text-sm">
+            <div class="flex flex-col gap-1">
+              <span class="text-xs text-slate-500">添加或替换 Token</span>
+              <div class="flex flex-col gap-2 sm:flex-row">
+                <input type="text" id="credentials-domain" class="${inputClass}" placeholder="实例域名，如 mastodon.social" />
+                <input type="password" id="credentials-token" class="${inputClass}" placeholder="Access Token" />
+                <button id="credentials-add" class="${buttonClass}">保存</button>
+              </div>
+            </div>
+            <div class="flex flex-col gap-1">
+              <span class="text-xs text-slate-500 flex items-center gap-1">${icons.Lock(12)} ${isEncrypted() ? '已使用口令加密保存' : '加密保存（可选）：设置口令后，每次打开页面需要解锁才能使用 Token'}</span>
+              <div class="flex flex-col gap-2 sm:flex-row">
+                <input type="password" id="credentials-new-passphrase" class="${inputClass}" placeholder="${isEncrypted() ? '新口令' : '口令'}" />
+                <input type="password" id="credentials-confirm-passphrase" class="${inputClass}" placeholder="再次输入" />
+                <button id="credentials-encrypt" class="${buttonClass}">${isEncrypted() ? '更换口令' : '加密'}</button>
+                ${isEncrypted() ? `<button id="credentials-decrypt" class="${buttonClass}">取消加密</button>` : ''}
+              </div>
+            </div>
+          </div>
+        `}
+      </div>
+    </div>
+  `;
+};
+
+// 经由自己实例抓取的账户：提示结果可能不完整
+const renderViaInstanceNote = (account) => {
+  if (!account || !account.fetched_via) return '';
+  return `
+    <p class="-mt-4 mb-4 text-xs text-amber-600">经由 ${escapeHtml(account.fetched_via)} 获取，只包含该实例已知的嘟文，可能不完整</p>
+  `;
+};
+
+// 对话中的一条嘟文（精简显示）；depth 为回复的层级
+const renderThreadItem = (status, depth = 0, source = null) => {
+  const account = status.account || {};
+  const media = status.media_attachments || [];
+  return `
+    <div class="bg-white rounded-lg border border-slate-100 shadow-sm p-4" style="margin-left: ${Math.min(depth, 4) * 1.25}rem">
+      <div class="flex items-center gap-2 mb-2 text-sm">
+        <img src="${safeUrl(account.avatar)}" alt="" class="w-7 h-7 rounded-full object-cover" />
+        <span class="font-semibold text-slate-800 truncate">${renderText(account.display_name || account.username, account.emojis)}</span>
+        <span class="text-slate-500 truncate">@${escapeHtml(account.acct)}</span>
+        <a href="${safeUrl(status.url || status.uri || '#')}" target="_blank" rel="noopener noreferrer" class="ml-auto text-slate-400 hover:text-indigo-600 transition-colors">
+          ${icons.ExternalLink(14)}
+        </a>
+      </div>
+      <div class="text-sm text-slate-700 break-words">
+        ${status.spoiler_text ? `<p class="text-slate-500 italic">${renderText(status.spoiler_text, status.emojis)}</p>` : renderStatusContent(status, source)}
+      </div>
+      <div class="mt-2 flex items-center gap-3 text-xs text-slate-400">
+        <span>${formatDate(status.created_at)}</span>
+        ${media.length > 0 ? `<span>📎 ${media.length} 个附件</span>` : ''}
+      </div>
+    </div>
+  `;
+};
+
+// 抽中嘟文上方的上文或下方的回复
+const renderThreadSection = (position, source = null) => {
+  const thread = state.thread;
+  if (!thread || thread.loading || thread.error) return '';
+  if (getThreadTarget(state.currentStatus, source)?.key !== thread.key) return '';
+  const items = position === 'ancestors'
+    ? thread.ancestors.map(status => ({ status, depth: 0 }))
+    : thread.descendants;
+  if (items.length === 0) {
+    return position === 'descendants' && thread.ancestors.length === 0
+      ? '<p class="text-center text-xs text-slate-400">没有找到上文或回复（可能不可见或已删除）</p>'
+      : '';
+  }
+  return `
+    <div class="w-full max-w-2xl mx-auto flex flex-col gap-2 ${position === 'ancestors' ? 'opacity-90' : ''}">
+      <span class="text-xs text-slate-400">${position === 'ancestors' ? `上文 (${items.length})` : `回复 (${items.length})`}</span>
+      ${items.map(({ status, depth }) => renderThreadItem(status, depth, source)).join('')}
+    </div>
+  `;
+};
+
+// 已展开的内容警告（按嘟文 URI），重新渲染时保持展开
+const revealedContentWarnings = new Set();
+
+// 旧版缓存中的 Misskey 帖子把内容警告写进了正文的 <details>，显示时去掉，避免重复折叠
+const stripLegacyContentWarning = (content) => {
+  const match = (content || '').match(/^<details><summary>[\s\S]*?<\/summary>([\s\S]*)<\/details>$/);
+  return match ? match[1] : content;
+};
+
+// 敏感媒体的显示方式，随账户保存
+const SENSITIVE_MEDIA_MODES = [
+  { id: 'default', label: '隐藏敏感媒体' },
+  { id: 'show_all', label: '总是显示' },
+  { id: 'hide_all', label: '隐藏所有媒体' },
+];
+const DEFAULT_SENSITIVE_MEDIA = 'default';
+const isValidSensitiveMediaMode = (mode) => SENSITIVE_MEDIA_MODES.some(item => item.id === mode);
+
+// 已点击显示的媒体（按嘟文 URI），卡片与全屏查看共用
+const revealedMedia = new Set();
+
+// 混合模式下使用嘟文所属账户的设置
+const getSensitiveMediaMode = (source = null) => {
+  const mode = source ? source.sensitiveMedia : state.sensitiveMedia;
+  return isValidSensitiveMediaMode(mode) ? mode : DEFAULT_SENSITIVE_MEDIA;
+};
+
+// 该嘟文的媒体是否需要点击后才显示（不考虑是否已显示）
+const isMediaHideable = (status, mode) => mode === 'hide_all' || (mode !== 'show_all' && !!status.sensitive);
+
+// 媒体尺寸来自远程或导入的数据，只接受正数，避免把任意内容写进属性
+const getMediaSize = (media) => {
+  const size = media.meta?.original || media.meta || {};
+  const width = Math.round(Number(size.width));
+  const height = Math.round(Number(size.height));
+  return Number.isFinite(width) && Number.isFinite(height) && width > 0 && height > 0 ? { width, height } : null;
+};
+
+// 全屏查看中可以浏览的附件类型（其他附件只提供下载链接）
+const GALLERY_MEDIA_TYPES = ['image', 'video', 'gifv', 'audio'];
+
+const getMediaDuration = (media) => formatDuration(media.meta?.original?.duration ?? media.meta?.duration);
+
+const getMediaFilename = (media) => {
+  try {
+    return decodeURIComponent(new URL(media.url).pathname.split('/').pop()) || '附件';
+  } catch {
+    return '附件';
+  }
+};
+
+// 媒体网格中的单个附件；galleryIndex 为在全屏查看中的位置（不可浏览时为 -1）
+const renderMediaAttachment = (media, galleryIndex) => {
+  const description = media.description || '';
+  const alt = escapeHtml(description);
+  const url = safeUrl(media.url);
+  // 视频的预览图；Mastodon 的音频附件以 preview_url 提供封面
+  const previewUrl = media.preview_url && media.preview_url !== media.url ? safeUrl(media.preview_url) : '';
+  const size = getMediaSize(media);
+  const expandButton = `
+    <button
+      class="media-expand absolute top-2 right-2 p-1.5 rounded bg-slate-900/50 text-white hover:bg-slate-900/70 transition-colors"
+      data-image-index="${galleryIndex}"
+      title="全屏查看"
+    >
+      ${icons.Maximize2(14)}
+    </button>
+  `;
+  const caption = description ? `
+    <p class="px-3 py-2 text-xs text-slate-600 bg-white/90 break-words">${alt}</p>
+  ` : '';
+
+  if (media.type === 'image') {
+    return `
+      <img 
+        src="${url}" 
+        alt="${alt || 'Attached media'}" 
+        class="w-full h-auto max-h-96 object-cover cursor-zoom-in hover:scale-105 transition-transform duration-500 media-image"
+        loading="lazy"
+        ${size ? `width="${size.width}" height="${size.height}"` : ''}
+        data-image-index="${galleryIndex}"
+      />
+      ${description ? `
+        <span class="absolute bottom-2 left-2 px-1.5 py-0.5 rounded bg-slate-900/60 text-white text-[10px] font-bold cursor-help" title="${alt}">ALT</span>
+      ` : ''}
+    `;
+  }
+
+  if (media.type === 'gifv') {
+    // GIF 在 Mastodon 上会被转成无声视频，像 GIF 一样静音循环播放
+    return `
+      <video 
+        src="${url}" 
+        class="w-full h-auto max-h-96 object-cover cursor-zoom-in media-image"
+        autoplay muted loop playsinline
+        ${size ? `width="${size.width}" height="${size.height}"` : ''}
+        ${alt ? `aria-label="${alt}" title="${alt}"` : ''}
+        data-image-index="${galleryIndex}"
+      ></video>
+      <span class="absolute bottom-2 left-2 px-1.5 py-0.5 rounded bg-slate-900/60 text-white text-[10px] font-bold">GIF</span>
+      ${caption}
+    `;
+  }
+
+  if (media.type === 'video') {
+    return `
+      <video 
+        src="${url}" 
+        controls 
+        preload="metadata"
+        class="w-full h-auto max-h-96"
+        ${previewUrl ? `poster="${previewUrl}"` : ''}
+        ${alt ? `aria-label="${alt}"` : ''}
+      ></video>
+      ${expandButton}
+      ${caption}
+    `;
+  }
+
+  if (media.type === 'audio') {
+    const duration = getMediaDuration(media);
+    return `
+      <div class="flex items-center gap-3 p-3 bg-white/80">
+        ${previewUrl
+          ? `<img src="${previewUrl}" alt="" class="w-14 h-14 rounded object-cover flex-shrink-0" loading="lazy" />`
+          : `<div class="w-14 h-14 rounded bg-indigo-50 text-indigo-500 flex items-center justify-center flex-shrink-0">${icons.Music(24)}</div>`}
+        <div class="flex-1 min-w-0 flex flex-col gap-1">
+          <span class="text-xs text-slate-500">音频${duration ? ` · ${duration}` : ''}</span>
+          <audio src="${url}" controls preload="metadata" class="w-full" ${alt ? `aria-label="${alt}"` : ''}></audio>
+        </div>
+      </div>
+      ${expandButton}
+      ${caption}
+    `;
+  }
+
+  return `
+    <a 
+      href="${url}" 
+      target="_blank" 
+      rel="noopener noreferrer"
+      download
+      class="flex items-center gap-3 p-4 text-slate-600 hover:bg-slate-200 transition-colors"
+    >
+      ${icons.Download(20)}
+      <span class="flex-1 min-w-0 truncate text-sm">${escapeHtml(getMediaFilename(media))}</span>
+      <span class="text-xs text-slate-400 flex-shrink-0">下载附件</span>
+    </a>
+    ${caption}
+  `;
+};
+
+// 投票：选项、票数与是否已结束
+const renderPoll = (poll, emojis = []) => {
+  const options = poll.options || [];
+  // 多选投票按投票人数计算比例（没有人数时退回总票数）
+  const total = (poll.multiple && poll.voters_count) || poll.votes_count || options.reduce((sum, option) => sum + (option.votes_count || 0), 0);
+  const ownVotes = poll.own_votes || [];
+  const closed = poll.expired || (poll.expires_at && new Date(poll.expires_at).getTime() < Date.now());
+  return `
+    <div class="mt-4 flex flex-col gap-2">
+      ${options.map((option, index) => {
+        const votes = option.votes_count;
+        const percent = total > 0 && votes !== null && votes !== undefined ? Math.round((votes / total) * 100) : 0;
+        const own = ownVotes.includes(index);
+        return `
+          <div class="relative overflow-hidden rounded-md border ${own ? 'border-indigo-300' : 'border-slate-200'} text-sm">
+            <div class="absolute inset-y-0 left-0 ${own ? 'bg-indigo-100' : 'bg-slate-100'}" style="width: ${percent}%"></div>
+            <div class="relative flex items-center justify-between gap-3 px-3 py-1.5">
+              <span class="text-slate-700 break-words">${own ? '✓ ' : ''}${renderText(option.title, emojis)}</span>
+              <span class="text-xs text-slate-500 whitespace-nowrap">${votes === null || votes === undefined ? '' : `${percent}% · ${votes} 票`}</span>
+            </div>
+          </div>
+        `;
+      }).join('')}
+      <div class="text-xs text-slate-400">
+        ${poll.multiple ? '多选 · ' : ''}${poll.voters_count ? `${poll.voters_count} 人参与` : `共 ${poll.votes_count || 0} 票`}
+        · ${closed ? '已结束' : poll.expires_at ? `截止于 ${formatDate(poll.expires_at)}` : '进行中'}
+      </div>
+    </div>
+  `;
+};
+
+// 链接预览卡片
+const renderLinkCard = (card) => {
+  if (!card || !card.url) return '';
+  let host = '';
+  try {
+    host = new URL(card.url).hostname;
+  } catch {
+    host = '';
+  }
+  return `
+    <a
+      href="${safeUrl(card.url)}"
+      target="_blank"
+      rel="noopener noreferrer"
+      class="mt-4 flex overflow-hidden rounded-lg border border-slate-200 hover:bg-slate-50 transition-colors"
+    >
+      ${card.image ? `
+        <img src="${safeUrl(card.image)}" alt="" class="w-24 sm:w-32 flex-shrink-0 object-cover bg-slate-100" loading="lazy" />
+      ` : ''}
+      <div class="min-w-0 p-3 flex flex-col gap-1">
+        <span class="text-xs text-slate-400 truncate">${escapeHtml(card.provider_name || host)}</span>
+        <span class="text-sm font-semibold text-slate-800 line-clamp-2">${escapeHtml(card.title || card.url)}</span>
+        ${card.description ? `<span class="text-xs text-slate-500 line-clamp-2">${escapeHtml(card.description)}</span>` : ''}
+      </div>
+    </a>
+  `;
 };
 
 // StatusCard Component
-const renderStatusCard = (status) => {
+// source: 混合模式下该嘟文所属的账户库账户（可选）
+// options.picked: 抽中的嘟文，显示“查看对话”与互动按钮
+const renderStatusCard = (status, source = null, options = {}) => {
   // 判断是否是转发
   const isReblog = status.reblog !== null && status.reblog !== undefined;
   // 判断是否是回复
@@ -1555,19 +3691,65 @@ const renderStatusCard = (status) => {
     displayStatus = status.reply;
   }
   
-  const { account: displayAccount, content: displayContent, created_at: displayCreatedAt, media_attachments: displayMedia, favourites_count: displayFavourites, reblogs_count: displayReblogs, replies_count: displayReplies, url: displayUrl } = displayStatus;
+  const { account: displayAccount, created_at: displayCreatedAt, media_attachments: displayMedia, favourites_count: displayFavourites, reblogs_count: displayReblogs, replies_count: displayReplies, url: displayUrl } = displayStatus;
   
   // 外层account（转发者或回复者）和url（转发帖子的链接）
   const { account, url, created_at, favourites_count, reblogs_count, replies_count } = status;
+
+  // 内容警告：所有平台统一折叠，展开状态按嘟文保存
+  const contentWarning = (displayStatus.spoiler_text || '').trim();
+  const cwKey = displayStatus.uri || displayStatus.url || displayStatus.id;
+
+  // 敏感媒体：点击后显示，显示状态与全屏查看共用
+  const mediaKey = cwKey;
+  const mediaHideable = isMediaHideable(displayStatus, getSensitiveMediaMode(source));
+  const mediaHidden = mediaHideable && !revealedMedia.has(mediaKey);
+
+  // 回复或有人回复时可以查看对话
+  const threadTarget = options.picked && (isReply || displayReplies || replies_count || displayStatus.in_reply_to_id)
+    ? getThreadTarget(status, source)
+    : null;
+  const threadOpen = !!(threadTarget && state.thread && state.thread.key === threadTarget.key);
+
+  // 已保存该实例 Token 时可以互动
+  const interactionTarget = options.picked ? getInteractionTarget(status, source) : null;
+  const interaction = interactionTarget && state.interaction?.key === interactionTarget.key ? state.interaction : null;
+  const replyDraft = interactionTarget && state.replyDraft?.key === interactionTarget.key ? state.replyDraft : null;
+  const renderActionButton = (action, icon, count, active, activeClass, hoverClass, title) => `
+    <button
+      data-interaction="${action}"
+      class="flex items-center gap-1 transition-colors ${active ? activeClass : hoverClass} disabled:opacity-50"
+      title="${title}"
+      ${interaction?.pending ? 'disabled' : ''}
+    >
+      ${interaction?.pending === action ? icons.Loader2(18) : icon}
+      ${count === null ? '' : `<span>${count}</span>`}
+    </button>
+  `;
   
   const cardHtml = `
     <div class="bg-white rounded-xl shadow-lg border border-slate-100 overflow-hidden w-full max-w-2xl mx-auto transition-all duration-300 hover:shadow-xl">
+      ${source ? `
+        <!-- Mixed Pool Source: 来自哪个账户库账户 -->
+        <div class="px-6 py-2 bg-indigo-50 border-b border-indigo-100 flex items-center gap-2 text-xs text-indigo-700">
+          <img src="${safeUrl(source.account.avatar)}" alt="${escapeHtml(source.account.display_name)}" class="w-5 h-5 rounded-full object-cover" />
+          <span>来自 <span class="font-semibold">${escapeHtml(source.account.display_name || source.account.username)}</span> (@${escapeHtml(source.account.acct)}) 的嘟文库</span>
+          <span class="ml-auto uppercase tracking-wider text-[10px] text-indigo-500">${escapeHtml(source.platform)}</span>
+        </div>
+      ` : ''}
       <div class="p-6">
         ${isReblog ? `
           <!-- Reblog Header: 转发者信息 -->
           <div class="flex items-center mb-2 text-sm text-slate-500">
             ${icons.Repeat(14)}
-            <span class="ml-1">${replaceCustomEmojis(account.display_name || account.username)} 转发了</span>
+            <span class="ml-1">${renderText(account.display_name || account.username, account.emojis)} 转发了</span>
+          </div>
+        ` : ''}
+        ${status.deleted ? `
+          <!-- Deleted: 刷新时发现已被删除 -->
+          <div class="flex items-center mb-2 text-sm text-red-500">
+            ${icons.Trash2(14)}
+            <span class="ml-1">此嘟文已被删除${status.refreshed_at ? `（${formatDate(status.refreshed_at)} 刷新时发现）` : ''}，不再参与抽取</span>
           </div>
         ` : ''}
         ${isReply ? `
@@ -1581,18 +3763,18 @@ const renderStatusCard = (status) => {
         <!-- Header: Avatar and Name (显示被转发帖子的作者，或原帖作者) -->
         <div class="flex items-center mb-4">
           <img 
-            src="${displayAccount.avatar}" 
-            alt="${displayAccount.display_name}" 
+            src="${safeUrl(displayAccount.avatar)}" 
+            alt="${escapeHtml(displayAccount.display_name)}" 
             class="w-12 h-12 rounded-full border border-slate-200 mr-3 object-cover"
           />
           <div class="flex-1 min-w-0">
             <h3 class="text-lg font-bold text-slate-900 truncate flex items-center gap-1">
-              ${replaceCustomEmojis(displayAccount.display_name || displayAccount.username)}
+              ${renderText(displayAccount.display_name || displayAccount.username, displayAccount.emojis)}
             </h3>
-            <p class="text-sm text-slate-500 truncate">@${displayAccount.acct}</p>
+            <p class="text-sm text-slate-500 truncate">@${escapeHtml(displayAccount.acct)}</p>
           </div>
           <a 
-            href="${displayUrl || url}" 
+            href="${safeUrl(displayUrl || url)}" 
             target="_blank" 
             rel="noopener noreferrer"
             class="text-slate-400 hover:text-indigo-600 transition-colors"
@@ -1602,65 +3784,191 @@ const renderStatusCard = (status) => {
           </a>
         </div>
 
+        ${contentWarning ? `
+          <!-- Content Warning: 折叠正文、媒体、投票和卡片 -->
+          <details class="group" data-cw-key="${escapeHtml(cwKey)}" ${revealedContentWarnings.has(cwKey) ? 'open' : ''}>
+            <summary class="list-none cursor-pointer select-none flex items-center gap-2 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-amber-800 text-sm">
+              ${icons.AlertCircle(16)}
+              <span class="flex-1 break-words">${renderText(contentWarning, displayStatus.emojis)}</span>
+              <span class="text-xs text-amber-600 whitespace-nowrap group-open:hidden">显示内容</span>
+              <span class="text-xs text-amber-600 whitespace-nowrap hidden group-open:inline">隐藏内容</span>
+            </summary>
+            <div class="mt-3">
+        ` : ''}
+
         <!-- Content (显示被转发帖子的内容，或原帖内容) -->
         <div class="prose prose-slate prose-p:my-2 prose-a:text-indigo-600 prose-a:no-underline hover:prose-a:underline text-slate-800 break-words text-base leading-relaxed">
-          ${replaceCustomEmojis(displayContent || '')}
+          ${renderStatusContent(displayStatus, source)}
         </div>
 
+        ${displayStatus.poll ? renderPoll(displayStatus.poll, displayStatus.emojis) : ''}
+
         <!-- Media Attachments (显示被转发帖子的媒体，或原帖媒体) -->
         ${displayMedia && displayMedia.length > 0 ? (() => {
-          const imageAttachments = displayMedia.filter(m => m.type === 'image');
+          const galleryAttachments = displayMedia.filter(m => GALLERY_MEDIA_TYPES.includes(m.type));
           return `
-          <div class="grid gap-2 mt-4 ${displayMedia.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}">
-            ${displayMedia.map((media, idx) => {
-              const imageIndex = media.type === 'image' ? imageAttachments.findIndex(img => img.id === media.id) : -1;
-              return `
-              <div class="relative group overflow-hidden rounded-lg bg-slate-100">
-                ${media.type === 'image' ? `
-                  <img 
-                    src="${media.url}" 
-                    alt="${(media.description || 'Attached media').replace(/"/g, '&quot;')}" 
-                    class="w-full h-auto max-h-96 object-cover cursor-zoom-in hover:scale-105 transition-transform duration-500 media-image"
-                    loading="lazy"
-                    data-image-index="${imageIndex}"
-                  />
-                ` : media.type === 'video' || media.type === 'gifv' ? `
-                  <video 
-                    src="${media.url}" 
-                    controls 
-                    class="w-full h-auto max-h-96"
-                  ></video>
-                ` : `
-                  <div class="p-4 text-center text-slate-500">
-                    Unsupported media type: ${media.type}
-                  </div>
-                `}
-              </div>
-            `;
-            }).join('')}
+          <div class="relative mt-4">
+            <div class="grid gap-2 ${displayMedia.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}">
+              ${displayMedia.map((media) => {
+                const placeholder = blurhashToDataUrl(media.blurhash);
+                return `
+                <div
+                  class="relative group overflow-hidden rounded-lg bg-slate-100 bg-cover bg-center"
+                  ${placeholder ? `style="background-image: url('${placeholder}')"` : ''}
+                >
+                  ${mediaHidden ? `
+                    <div class="w-full h-48"></div>
+                  ` : renderMediaAttachment(media, galleryAttachments.indexOf(media))}
+                </div>
+              `;
+              }).join('')}
+            </div>
+            ${mediaHidden ? `
+              <button
+                data-reveal-media="${escapeHtml(mediaKey)}"
+                class="absolute inset-0 flex flex-col items-center justify-center gap-1 rounded-lg bg-slate-900/30 text-white backdrop-blur-sm hover:bg-slate-900/40 transition-colors"
+              >
+                <span class="font-medium">${displayStatus.sensitive ? '敏感内容' : '媒体已隐藏'}</span>
+                <span class="text-xs opacity-80">点击显示</span>
+              </button>
+            ` : mediaHideable ? `
+              <button
+                data-hide-media="${escapeHtml(mediaKey)}"
+                class="absolute top-2 left-2 px-2 py-0.5 rounded bg-slate-900/50 text-white text-xs hover:bg-slate-900/70 transition-colors"
+                title="重新隐藏媒体"
+              >隐藏</button>
+            ` : ''}
+          </div>
+        `;
+        })() : ''}
+
+        ${displayStatus.card && !(displayMedia && displayMedia.length > 0) ? renderLinkCard(displayStatus.card) : ''}
+
+        ${displayStatus.quote ? `
+          <!-- Quote: 引用的嘟文（Pleroma/Akkoma、Mastodon 4.4+） -->
+          <a 
+            href="${safeUrl(displayStatus.quote.url || displayStatus.quote.uri || '#')}" 
+            target="_blank" 
+            rel="noopener noreferrer"
+            class="block mt-4 p-4 rounded-lg border border-slate-200 bg-slate-50 hover:bg-slate-100 transition-colors"
+          >
+            <div class="flex items-center gap-2 mb-2 text-sm">
+              <img src="${safeUrl(displayStatus.quote.account?.avatar)}" alt="" class="w-6 h-6 rounded-full object-cover" />
+              <span class="font-semibold text-slate-800 truncate">${renderText(displayStatus.quote.account?.display_name || displayStatus.quote.account?.username, displayStatus.quote.account?.emojis)}</span>
+              <span class="text-slate-500 truncate">@${escapeHtml(displayStatus.quote.account?.acct)}</span>
+            </div>
+            <div class="text-sm text-slate-700 break-words line-clamp-6">
+              ${renderStatusContent(displayStatus.quote, source)}
+            </div>
+            ${(displayStatus.quote.media_attachments || []).length > 0 ? `
+              <div class="mt-2 text-xs text-slate-500">📎 ${displayStatus.quote.media_attachments.length} 个附件</div>
+            ` : ''}
+          </a>
+        ` : ''}
+
+        ${contentWarning ? `
+            </div>
+          </details>
+        ` : ''}
+
+        ${displayStatus.reactions && displayStatus.reactions.length > 0 ? `
+          <!-- Emoji Reactions (Misskey、Pleroma/Akkoma) -->
+          <div class="flex flex-wrap gap-1.5 mt-4">
+            ${displayStatus.reactions.map(reaction => `
+              <span class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-slate-100 text-slate-600 text-sm" title="${escapeHtml(reaction.name)}">
+                ${reaction.url
+                  ? `<img src="${safeUrl(reaction.url)}" alt="${escapeHtml(reaction.name)}" class="inline-block h-5 w-5 object-contain" />`
+                  : renderText(reaction.name.replace(/@[^:]*:$/, ':'))}
+                <span class="text-xs">${escapeHtml(reaction.count)}</span>
+              </span>
+            `).join('')}
           </div>
-        `;
-        })() : ''}
+        ` : ''}
 
         <!-- Metadata & Stats -->
         <div class="mt-6 pt-4 border-t border-slate-100 flex items-center justify-between text-slate-500 text-sm">
-          <span class="font-medium">${formatDate(displayCreatedAt || created_at)}</span>
+          <div class="flex items-center gap-3">
+            <span class="font-medium">${formatDate(displayCreatedAt || created_at)}</span>
+            ${displayStatus.edited_at ? `<span class="text-xs text-slate-400" title="编辑于 ${formatDate(displayStatus.edited_at)}">已编辑</span>` : ''}
+            ${threadTarget ? `
+              <button
+                id="toggle-thread"
+                class="flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800 transition-colors disabled:opacity-50"
+                ${threadOpen && state.thread.loading ? 'disabled' : ''}
+              >
+                ${threadOpen && state.thread.loading ? icons.Loader2(14) : icons.MessageCircle(14)}
+                ${threadOpen ? (state.thread.loading ? '正在加载对话...' : '收起对话') : '查看对话'}
+              </button>
+            ` : ''}
+          </div>
           
-          <div class="flex items-center gap-4">
-            <div class="flex items-center gap-1 hover:text-blue-600 transition-colors">
-              ${icons.MessageCircle(18)}
-              <span>${displayReplies || replies_count || 0}</span>
+          ${interactionTarget ? `
+            <div class="flex items-center gap-4">
+              <button
+                id="action-reply"
+                class="flex items-center gap-1 transition-colors ${replyDraft ? 'text-blue-600' : 'hover:text-blue-600'}"
+                title="回复"
+              >
+                ${interaction?.pending === 'reply' ? icons.Loader2(18) : icons.MessageCircle(18)}
+                <span>${displayReplies || replies_count || 0}</span>
+              </button>
+              ${renderActionButton('reblog', icons.Repeat(18), displayReblogs || reblogs_count || 0, displayStatus.reblogged, 'text-green-600', 'hover:text-green-600', displayStatus.reblogged ? '取消转嘟' : '转嘟')}
+              ${renderActionButton('favourite', icons.Heart(18), displayFavourites || favourites_count || 0, displayStatus.favourited, 'text-pink-600', 'hover:text-pink-600', displayStatus.favourited ? '取消喜欢' : '喜欢')}
+              ${renderActionButton('bookmark', icons.Bookmark(18), null, displayStatus.bookmarked, 'text-amber-600', 'hover:text-amber-600', displayStatus.bookmarked ? '取消收藏' : '收藏')}
             </div>
-            <div class="flex items-center gap-1 hover:text-green-600 transition-colors">
-              ${icons.Repeat(18)}
-              <span>${displayReblogs || reblogs_count || 0}</span>
+          ` : `
+            <div class="flex items-center gap-4">
+              <div class="flex items-center gap-1 hover:text-blue-600 transition-colors">
+                ${icons.MessageCircle(18)}
+                <span>${displayReplies || replies_count || 0}</span>
+              </div>
+              <div class="flex items-center gap-1 hover:text-green-600 transition-colors">
+                ${icons.Repeat(18)}
+                <span>${displayReblogs || reblogs_count || 0}</span>
+              </div>
+              <div class="flex items-center gap-1 hover:text-pink-600 transition-colors">
+                ${icons.Heart(18)}
+                <span>${displayFavourites || favourites_count || 0}</span>
+              </div>
             </div>
-            <div class="flex items-center gap-1 hover:text-pink-600 transition-colors">
-              ${icons.Heart(18)}
-              <span>${displayFavourites || favourites_count || 0}</span>
+          `}
+        </div>
+        ${replyDraft ? `
+          <!-- Reply Composer -->
+          <div class="mt-4 flex flex-col gap-2">
+            <textarea
+              id="reply-text"
+              rows="3"
+              class="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 outline-none resize-y"
+              placeholder="写下回复..."
+              ${replyDraft.sending ? 'disabled' : ''}
+            >${escapeHtml(replyDraft.text)}</textarea>
+            <div class="flex items-center justify-between gap-2">
+              <span class="text-xs text-slate-400">可见性${displayStatus.spoiler_text ? '与内容警告' : ''}沿用原帖（${escapeHtml(displayStatus.visibility || 'public')}）</span>
+              <div class="flex gap-2">
+                <button
+                  id="cancel-reply"
+                  class="px-3 py-1.5 rounded-md border border-slate-200 text-slate-600 text-sm hover:bg-slate-50 transition-colors disabled:opacity-50"
+                  ${replyDraft.sending ? 'disabled' : ''}
+                >取消</button>
+                <button
+                  id="send-reply"
+                  class="px-4 py-1.5 rounded-md bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  ${replyDraft.sending ? 'disabled' : ''}
+                >${replyDraft.sending ? '发送中...' : '发送回复'}</button>
+              </div>
             </div>
           </div>
-        </div>
+        ` : ''}
+        ${interaction?.error ? `
+          <p class="mt-2 text-xs text-red-500">${escapeHtml(interaction.error)}</p>
+        ` : ''}
+        ${interaction?.notice ? `
+          <p class="mt-2 text-xs text-green-600">${escapeHtml(interaction.notice)}</p>
+        ` : ''}
+        ${threadOpen && state.thread.error ? `
+          <p class="mt-2 text-xs text-red-500">${escapeHtml(state.thread.error)}</p>
+        ` : ''}
       </div>
     </div>
   `;
@@ -1689,6 +3997,15 @@ const render = () => {
   const app = document.getElementById('app');
   if (!app) return;
 
+  const unresolvedReblogCount = state.allStatuses.filter(isUnresolvedReblog).length;
+  // 混合模式下当前嘟文所属的账户
+  const currentSource = getPickedSource();
+  // 可用于“经由我的实例抓取”的实例：已保存 Token 的 Mastodon 兼容实例
+  const homeInstances = Object.entries(state.authTokens)
+    .filter(([, entry]) => entry.platform !== 'misskey')
+    .map(([domain]) => domain)
+    .sort();
+
   app.innerHTML = `
     <div class="min-h-screen flex flex-col items-center py-10 px-4 bg-slate-50 relative">
       
@@ -1725,12 +4042,30 @@ const render = () => {
             <div class="flex items-start gap-3 text-amber-800">
               ${icons.AlertCircle(18)}
               <div class="flex-1">
-                <p class="font-semibold mb-1">该实例需要 Access Token 才能继续抓取</p>
+                <p class="font-semibold mb-1">${state.tokenRequest.write ? '互动需要带写入权限的 Access Token' : '该实例需要 Access Token 才能继续抓取'}</p>
                 <p class="text-sm text-amber-700 leading-relaxed">
-                  实例：<span class="font-mono">${state.tokenRequest.domain || ''}</span><br/>
-                  如果是 GoToSocial，请先打开下方指引页面申请长期 Token，并粘贴到输入框。已有 Token 可直接粘贴；Token 仅保存在本地浏览器，请妥善保存。
+                  实例：<span class="font-mono">${escapeHtml(state.tokenRequest.domain)}</span><br/>
+                  ${state.tokenRequest.platform === 'gotosocial' ? 'GoToSocial 的接口都需要登录后才能访问。' : ''}
+                  ${state.tokenRequest.write
+                    ? '点击"登录授权"会打开实例的授权页面（申请读取以及喜欢、转嘟、收藏和发嘟的权限），授权后自动保存 Token 并继续操作。'
+                    : '点击"登录授权"会打开实例的授权页面（只申请读取权限），授权后自动保存 Token 并继续抓取。'}也可以手动粘贴已有的 Token；Token 仅保存在本地浏览器，请妥善保存。
                 </p>
+                ${state.tokensLocked ? `
+                  <p class="mt-2 text-sm text-amber-700">已保存的 Token 处于加密锁定状态，可以先在首页的"管理已保存的 Token"中解锁。</p>
+                ` : ''}
+                ${state.tokenRequest.error ? `
+                  <p class="mt-2 text-sm text-red-600">${escapeHtml(state.tokenRequest.error)}</p>
+                ` : ''}
                 <div class="mt-3 flex flex-col gap-2">
+                  <button 
+                    id="token-oauth"
+                    class="inline-flex items-center justify-center gap-1 px-3 py-2 rounded-md bg-amber-600 text-white hover:bg-amber-700 text-sm font-medium transition-colors disabled:opacity-60"
+                    ${state.tokenRequest.authorizing ? 'disabled' : ''}
+                  >
+                    ${state.tokenRequest.authorizing
+                      ? `${icons.Loader2(14)} 等待授权完成...`
+                      : `${icons.ExternalLink(14)} ${state.tokenRequest.platform === 'misskey' ? '使用 MiAuth 登录授权' : '登录授权'}`}
+                  </button>
                   <a 
                     id="token-open-guide"
                     class="inline-flex items-center justify-center gap-1 px-3 py-2 rounded-md bg-white text-amber-800 border border-amber-200 hover:bg-amber-100 text-sm transition-colors"
@@ -1738,7 +4073,7 @@ const render = () => {
                     target="_blank"
                     rel="noopener noreferrer"
                   >
-                    ${icons.ExternalLink(14)} 新标签打开 GoToSocial 指引
+                    ${icons.ExternalLink(14)} 手动申请 Token（GoToSocial 指引）
                   </a>
                   <div class="flex flex-col gap-2 sm:flex-row sm:items-center">
                     <input
@@ -1746,7 +4081,7 @@ const render = () => {
                       type="text"
                       class="flex-1 px-3 py-2 rounded-md border border-amber-200 focus:border-amber-400 focus:ring-2 focus:ring-amber-100 outline-none bg-white"
                       placeholder="在此粘贴 Access Token（本地存储，仅用于该实例）"
-                      value="${getAuthToken(state.tokenRequest.domain) || ''}"
+                      value="${escapeHtml(getAuthToken(state.tokenRequest.domain))}"
                     />
                     <div class="flex gap-2 sm:justify-end">
                       <button 
@@ -1766,17 +4101,50 @@ const render = () => {
         </div>
       ` : ''}
 
+      <!-- Credentials (Hidden when data is loaded) -->
+      ${!state.currentAccount && state.showCredentials ? renderCredentialsPanel() : ''}
+
+      <!-- Account Library (Hidden when data is loaded) -->
+      ${!state.currentAccount && state.library.length > 0 ? `
+        <div class="w-full max-w-xl mb-6 animate-fade-in">
+          <div class="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+            <div class="px-4 py-3 bg-slate-50 border-b border-slate-100 flex items-center gap-2 text-slate-700 font-medium text-sm">
+              ${icons.Users(16)} <span>本地账户库 (${state.library.length})</span>
+            </div>
+            <ul class="divide-y divide-slate-100">
+              ${state.library.map(renderLibraryEntry).join('')}
+            </ul>
+            ${state.library.length > 1 ? `
+              <div class="px-4 py-3 bg-slate-50 border-t border-slate-100 flex flex-wrap items-center gap-3 text-sm">
+                <span class="text-slate-500">混合随机：</span>
+                <select id="library-weighting" class="border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none bg-white">
+                  <option value="equal" ${state.mixedWeighting === 'equal' ? 'selected' : ''}>每个账户机会相同</option>
+                  <option value="count" ${state.mixedWeighting === 'count' ? 'selected' : ''}>按嘟文数量加权</option>
+                </select>
+                <button 
+                  id="open-mixed-pool"
+                  class="ml-auto flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  ${state.librarySelection.size < 2 || state.loading ? 'disabled' : ''}
+                >
+                  ${icons.Shuffle(14)} 混合随机 (${state.librarySelection.size})
+                </button>
+              </div>
+            ` : ''}
+          </div>
+        </div>
+      ` : ''}
+
       <!-- Input Section (Hidden when data is loaded) -->
       ${!state.currentAccount ? `
         <div class="w-full max-w-xl mb-8 animate-fade-in">
           ${state.mode === 'url' ? `
             <form id="url-form" class="relative flex items-center shadow-lg rounded-full bg-white border border-slate-200 focus-within:ring-2 focus-within:ring-indigo-500 focus-within:border-transparent transition-all overflow-hidden z-10">
               <input
-                type="url"
+                type="text"
                 id="url-input"
                 class="w-full py-4 pl-6 pr-14 outline-none text-slate-700 placeholder:text-slate-400"
-                placeholder="输入主页链接 (支持 Mastodon / Misskey / GoToSocial )"
-                value="${state.urlInput}"
+                placeholder="主页链接、嘟文链接或 @用户名@实例"
+                value="${escapeHtml(state.urlInput)}"
                 required
                 ${state.loading ? 'disabled' : ''}
               />
@@ -1871,6 +4239,27 @@ const render = () => {
                     </label>
                   </div>
                 </div>
+
+                <!-- 3. 经由自己所在的实例抓取 -->
+                <div class="flex flex-col gap-2">
+                  <span class="text-slate-500 text-xs font-medium uppercase tracking-wider">抓取来源</span>
+                  ${homeInstances.length > 0 ? `
+                    <select
+                      id="via-instance"
+                      class="px-2 py-1.5 border border-slate-300 rounded text-sm text-slate-700 bg-white focus:border-indigo-500 outline-none"
+                    >
+                      <option value="" ${!state.fetchConfig.viaInstance ? 'selected' : ''}>直接请求对方实例</option>
+                      ${homeInstances.map(domain => `
+                        <option value="${escapeHtml(domain)}" ${state.fetchConfig.viaInstance === domain ? 'selected' : ''}>经由我的实例 ${escapeHtml(domain)}</option>
+                      `).join('')}
+                    </select>
+                    ${state.fetchConfig.viaInstance ? `
+                      <p class="text-xs text-amber-600">对方实例禁止匿名访问或无法连接时使用。只能获取 ${escapeHtml(state.fetchConfig.viaInstance)} 已知的嘟文，结果可能不完整。</p>
+                    ` : ''}
+                  ` : `
+                    <p class="text-xs text-slate-400">在「管理已保存的 Token」中登录自己所在的实例后，可经由该实例抓取无法直接访问的账户。</p>
+                  `}
+                </div>
               </div>
             </div>
           ` : `
@@ -1880,7 +4269,7 @@ const render = () => {
                 id="file-input-file"
                 class="hidden" 
                 multiple
-                accept=".json,application/json"
+                accept=".json,application/json,.zip,application/zip"
               />
               <input 
                 type="file" 
@@ -1893,7 +4282,7 @@ const render = () => {
               <div class="flex flex-col items-center text-slate-500">
                 <div class="mb-2 text-indigo-500">${icons.Upload(32)}</div>
                 <p class="font-medium">导入本地数据</p>
-                <p class="text-xs text-slate-400 mt-1 text-center">支持：JSON 备份（含进度/Misskey/Mastodon）或 Mastodon 导出的存档文件夹（需先解压 ZIP）</p>
+                <p class="text-xs text-slate-400 mt-1 text-center">支持：JSON 备份（含进度/Misskey/Mastodon）、Mastodon 导出的存档 ZIP（可直接拖入）或解压后的存档文件夹、Misskey / Sharkey 的帖子导出文件</p>
                 <div class="flex gap-2 mt-4">
                   <button id="choose-file" class="px-3 py-1.5 rounded-md border border-slate-200 text-sm bg-slate-50 hover:bg-slate-100 text-slate-700">选择文件</button>
                   <button id="choose-folder" class="px-3 py-1.5 rounded-md border border-slate-200 text-sm bg-slate-50 hover:bg-slate-100 text-slate-700">选择文件夹</button>
@@ -1911,6 +4300,13 @@ const render = () => {
               >
                 ${state.mode === 'url' ? '已有数据？导入本地 JSON 文件' : '返回链接抓取模式'}
               </button>
+              <span class="text-xs text-slate-300 mx-1">·</span>
+              <button 
+                id="toggle-credentials"
+                class="text-xs text-slate-400 hover:text-indigo-600 underline decoration-dotted transition-colors"
+              >
+                管理已保存的 Token${state.tokensLocked ? '（已锁定）' : Object.keys(state.authTokens).length > 0 ? ` (${Object.keys(state.authTokens).length})` : ''}
+              </button>
             </div>
           ` : ''}
 
@@ -1920,6 +4316,7 @@ const render = () => {
               <div class="text-center text-indigo-600 font-medium flex items-center justify-center gap-2 mb-3">
                 ${icons.Loader2(16)} <span>已抓取 <span id="fetch-count">${state.fetchCount}</span> 条数据... ${state.isPaused ? '(已暂停)' : ''}</span>
               </div>
+              ${state.fetchNotice ? `<div class="text-xs text-amber-600 text-center mb-3">${escapeHtml(state.fetchNotice)}</div>` : ''}
               
               <div class="flex justify-center gap-3">
                 <button 
@@ -1938,10 +4335,17 @@ const render = () => {
             </div>
           ` : ''}
 
+          ${state.authNotice ? `
+            <div class="mt-4 p-3 bg-green-50 text-green-700 rounded-lg flex items-start gap-2 text-sm border border-green-100">
+              ${icons.Info(18)}
+              <span>${escapeHtml(state.authNotice)}</span>
+            </div>
+          ` : ''}
+
           ${state.error ? `
             <div class="mt-4 p-3 bg-red-50 text-red-600 rounded-lg flex items-start gap-2 text-sm border border-red-100">
               ${icons.AlertCircle(18)}
-              <span>${state.error}</span>
+              <span>${escapeHtml(state.error)}</span>
             </div>
           ` : ''}
 
@@ -1962,13 +4366,16 @@ const render = () => {
               <div class="p-4 pt-0 text-slate-500 text-sm leading-relaxed border-t border-slate-50 bg-slate-50/50">
                 <ul class="list-disc list-inside space-y-2 mt-2">
                   <li><strong>获取链接</strong>：请打开您的长毛象主页（例如点击头像进入个人主页），然后从浏览器地址栏复制完整的链接（如 <code>https://alive.bar/@meomo</code>）。</li>
+                  <li><strong>其他格式</strong>：也可以直接输入 <code>@meomo@alive.bar</code>、从其他实例看到的远程主页（如 <code>https://mastodon.social/@meomo@alive.bar</code>）或任意一条嘟文的链接，程序会通过 WebFinger 找到账户所在的实例。</li>
                   <li><strong>粘贴链接</strong>：将复制的链接粘贴到上方的输入框中，点击搜索按钮开始抓取。</li>
                   <li><strong>抓取限制</strong>：由于 API 限制，程序每次请求约 40 条嘟文。如果您的嘟文数量较多，程序会自动多次请求，请耐心等待。</li>
                   <li><strong>减轻服务器压力</strong>：强烈建议您在抓取完成后，点击"下载数据"保存到本地。下次想看时，直接使用"导入本地 JSON 文件"功能，既快又不会给服务器造成负担。</li>
-                  <li><strong>导入 Mastodon 存档</strong>：如果您有 Mastodon 导出的 ActivityPub 格式存档（ZIP 文件），请先解压 ZIP 文件，然后点击"导入本地 JSON 文件"，选择解压后的整个文件夹。这样程序可以读取 <code>outbox.json</code> 和 <code>actor.json</code>，并且可以正常显示存档中包含的图片等媒体文件。</li>
+                  <li><strong>导入 Mastodon 存档</strong>：如果您有 Mastodon 导出的 ActivityPub 格式存档（ZIP 文件），点击"导入本地 JSON 文件"后直接选择或拖入该 ZIP 文件即可，无需解压。程序会读取 <code>outbox.json</code> 和 <code>actor.json</code>，存档中的图片等媒体文件在显示时按需读取。已经解压的存档也可以选择整个文件夹导入。</li>
+                  <li><strong>导入 Misskey / Sharkey 导出</strong>：在实例的「设置 → 导入和导出」中导出帖子，先在上方输入框填写该账户的主页链接，再选择导出的 JSON 文件。若要离线显示附件，可把帖子 JSON 与下载的云盘文件放在同一文件夹中，选择整个文件夹导入。</li>
                   <li><strong>网络环境</strong>：本工具为纯本地运行（Static Web App）。能否成功抓取数据和显示图片，完全取决于您的网络环境能否顺畅访问该长毛象实例。</li>
                   <li><strong>含进度备份</strong>：浏览一部分后，可以使用"下载数据 + 进度"保存当前状态，下次导入可继续从上次的位置开始随机浏览。</li>
-                  <li><strong>自动加载缓存</strong>：如果您之前抓取过数据，刷新页面后程序会自动加载本地缓存的数据，无需重新抓取。只要您不清除浏览器缓存，就可以随时访问查看。</li>
+                  <li><strong>自动加载缓存</strong>：如果您之前抓取过数据，刷新页面后程序会自动加载最近使用的账户，无需重新抓取。只要您不清除浏览器缓存，就可以随时访问查看。</li>
+                  <li><strong>本地账户库</strong>：所有抓取过的账户都会保存在首页的账户库中，可以随时切换、抓取更新、导出或删除。</li>
                 </ul>
               </div>
             ` : ''}
@@ -1984,22 +4391,24 @@ const render = () => {
               <div class="bg-white p-8 rounded-2xl shadow-sm border border-slate-100 flex flex-col items-center">
                 <div class="relative mb-4">
                   <img 
-                    src="${state.currentAccount.avatar}" 
-                    alt="${state.currentAccount.display_name}" 
+                    src="${safeUrl(state.currentAccount.avatar)}" 
+                    alt="${escapeHtml(state.currentAccount.display_name)}" 
                     class="w-20 h-20 rounded-full border-4 border-slate-50"
                   />
                   <div class="absolute -bottom-1 -right-1 bg-indigo-500 text-white p-1 rounded-full border-2 border-white">
                     ${state.isPaused ? icons.Pause(14) : icons.Loader2(14)}
                   </div>
                 </div>
-                <h2 class="text-xl font-bold text-slate-800">${replaceCustomEmojis(state.currentAccount.display_name || state.currentAccount.username)}</h2>
-                <p class="text-sm text-slate-500 mb-6">@${state.currentAccount.acct}</p>
+                <h2 class="text-xl font-bold text-slate-800">${renderText(state.currentAccount.display_name || state.currentAccount.username, state.currentAccount.emojis)}</h2>
+                <p class="text-sm text-slate-500 mb-6">@${escapeHtml(state.currentAccount.acct)}</p>
+                ${renderViaInstanceNote(state.currentAccount)}
                 
                 <div class="bg-indigo-50 px-6 py-4 rounded-lg text-sm text-indigo-700 mb-4 flex items-center gap-2">
                   ${state.isPaused ? icons.Pause(20) : icons.Loader2(20)}
                   <div class="text-left">
                     <p class="font-bold">${state.isPaused ? '已暂停抓取' : '正在抓取数据...'}</p>
                     <p>已抓取 <span id="fetch-count-initial" class="font-bold text-indigo-600">${state.fetchCount}</span> 条嘟文${state.isPaused ? '，可以查看已抓取的数据' : '，请耐心等待'}</p>
+                    ${state.fetchNotice ? `<p class="text-xs text-amber-600 mt-1">${escapeHtml(state.fetchNotice)}</p>` : ''}
                   </div>
                 </div>
 
@@ -2031,6 +4440,7 @@ const render = () => {
             ${icons.Loader2(16)} <span>正在抓取${state.fetchType === 'older' ? '更早' : state.fetchType === 'newer' ? '更新' : ''}数据...</span>
           </div>
           <div class="text-xs text-slate-500 text-center">已获取 <span id="fetch-count-incremental">${state.fetchCount}</span> 条 ${state.isPaused ? '(已暂停)' : ''}</div>
+          ${state.fetchNotice ? `<div class="text-xs text-amber-600 text-center">${escapeHtml(state.fetchNotice)}</div>` : ''}
           
           <div class="flex gap-2 mt-1">
             <button id="toggle-pause-incremental" class="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-600 text-xs py-1.5 rounded transition-colors">
@@ -2043,28 +4453,91 @@ const render = () => {
         </div>
       ` : ''}
 
+      <!-- 补全转嘟进度 -->
+      ${state.enrichment ? `
+        <div class="fixed bottom-4 left-4 bg-white shadow-xl rounded-xl p-4 border border-indigo-100 z-50 animate-fade-in-up flex flex-col gap-2 w-64">
+          <div class="flex items-center gap-2 text-indigo-600 font-medium text-sm">
+            ${state.enrichment.isPaused ? icons.Pause(16) : icons.Loader2(16)} <span>正在补全转嘟内容...</span>
+          </div>
+          <div class="text-xs text-slate-500 text-center">
+            已处理 <span id="enrich-done">${state.enrichment.done}</span> / ${state.enrichment.total} 条，<span id="enrich-failed">${state.enrichment.failed}</span> 条无法获取 ${state.enrichment.isPaused ? '(已暂停)' : ''}
+          </div>
+          ${state.fetchNotice ? `<div class="text-xs text-amber-600 text-center">${escapeHtml(state.fetchNotice)}</div>` : ''}
+
+          <div class="flex gap-2 mt-1">
+            <button id="toggle-pause-enrich" class="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-600 text-xs py-1.5 rounded transition-colors">
+              ${state.enrichment.isPaused ? '继续' : '暂停'}
+            </button>
+            <button id="stop-enrich" class="flex-1 bg-red-50 hover:bg-red-100 text-red-600 text-xs py-1.5 rounded transition-colors">
+              停止
+            </button>
+          </div>
+        </div>
+      ` : ''}
+
+      ${state.refresh ? `
+        <div class="fixed bottom-4 left-4 bg-white shadow-xl rounded-xl p-4 border border-indigo-100 z-50 animate-fade-in-up flex flex-col gap-2 w-64">
+          <div class="flex items-center gap-2 text-indigo-600 font-medium text-sm">
+            ${state.refresh.isPaused ? icons.Pause(16) : icons.Loader2(16)} <span>正在刷新嘟文...</span>
+          </div>
+          <div class="text-xs text-slate-500 text-center">
+            已处理 <span id="refresh-done">${state.refresh.done}</span> / ${state.refresh.total} 条，<span id="refresh-removed">${state.refresh.removed}</span> 条已删除 ${state.refresh.isPaused ? '(已暂停)' : ''}
+          </div>
+          ${state.fetchNotice ? `<div class="text-xs text-amber-600 text-center">${escapeHtml(state.fetchNotice)}</div>` : ''}
+
+          <div class="flex gap-2 mt-1">
+            <button id="toggle-pause-refresh" class="flex-1 bg-slate-100 hover:bg-slate-200 text-slate-600 text-xs py-1.5 rounded transition-colors">
+              ${state.refresh.isPaused ? '继续' : '暂停'}
+            </button>
+            <button id="stop-refresh" class="flex-1 bg-red-50 hover:bg-red-100 text-red-600 text-xs py-1.5 rounded transition-colors">
+              停止
+            </button>
+          </div>
+        </div>
+      ` : ''}
+
       <!-- Main Content Area (Data Loaded) -->
       ${state.currentAccount && state.allStatuses.length > 0 && (!state.loading || state.isPaused) ? `
         <div class="w-full max-w-2xl flex flex-col items-center gap-8 animate-fade-in-up">
           
           <!-- 1. Status Display -->
           <div class="w-full min-h-[200px] flex justify-center items-start" id="status-display">
-            ${state.currentStatus ? renderStatusCard(state.currentStatus) : ''}
+            ${state.currentStatus ? `
+              <div class="w-full flex flex-col gap-3">
+                ${renderThreadSection('ancestors', currentSource)}
+                ${renderStatusCard(state.currentStatus, currentSource, { picked: true })}
+                ${renderThreadSection('descendants', currentSource)}
+              </div>
+            ` : ''}
             ${!state.currentStatus ? `
               <div class="text-center text-slate-400 mt-4 w-full">
                 <div class="bg-white p-8 rounded-2xl shadow-sm border border-slate-100 flex flex-col items-center">
+                  ${state.mixedPool ? `
+                    <div class="flex -space-x-3 mb-4">
+                      ${state.mixedPool.sources.map(source => `
+                        <img 
+                          src="${safeUrl(source.account.avatar)}" 
+                          alt="${escapeHtml(source.account.display_name)}" 
+                          title="@${escapeHtml(source.account.acct)}"
+                          class="w-14 h-14 rounded-full border-4 border-white object-cover"
+                        />
+                      `).join('')}
+                    </div>
+                  ` : `
                   <div class="relative mb-4">
                      <img 
-                        src="${state.currentAccount.avatar}" 
-                        alt="${state.currentAccount.display_name}" 
+                        src="${safeUrl(state.currentAccount.avatar)}" 
+                        alt="${escapeHtml(state.currentAccount.display_name)}" 
                         class="w-20 h-20 rounded-full border-4 border-slate-50"
                       />
                       <div class="absolute -bottom-1 -right-1 bg-green-500 text-white p-1 rounded-full border-2 border-white">
                         ${icons.FileJson(14)}
                       </div>
                   </div>
-                  <h2 class="text-xl font-bold text-slate-800">${replaceCustomEmojis(state.currentAccount.display_name || state.currentAccount.username)}</h2>
-                  <p class="text-sm text-slate-500 mb-6">@${state.currentAccount.acct}</p>
+                  `}
+                  <h2 class="text-xl font-bold text-slate-800">${renderText(state.currentAccount.display_name || state.currentAccount.username, state.currentAccount.emojis)}</h2>
+                  <p class="text-sm text-slate-500 mb-6">@${escapeHtml(state.currentAccount.acct)}</p>
+                  ${renderViaInstanceNote(state.currentAccount)}
                   
                   <div class="bg-slate-50 px-4 py-3 rounded-lg text-sm text-slate-500 mb-2">
                     <p>已就绪数据: <span class="font-bold text-indigo-600">${state.allStatuses.length}</span> 条</p>
@@ -2075,6 +4548,24 @@ const render = () => {
             ` : ''}
           </div>
 
+          ${!state.mixedPool && !state.loading && (state.crawlCursor || state.error) ? `
+            <!-- 抓取中断提示 (Resume) -->
+            <div class="w-full p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800 flex items-center justify-between gap-3">
+              <div class="flex items-start gap-2">
+                ${icons.AlertCircle(18)}
+                <span>${state.error ? `抓取中断：${escapeHtml(state.error)}` : `上次抓取${state.crawlCursor.direction === 'newer' ? '更新' : '更早'}的数据时中断了。`}${state.crawlCursor ? '已抓取的嘟文都已保存，可以从中断处继续。' : ''}</span>
+              </div>
+              ${state.crawlCursor ? `
+                <button 
+                  id="resume-fetch"
+                  class="shrink-0 flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-amber-100 text-amber-800 hover:bg-amber-200 text-xs font-medium transition-colors"
+                >
+                  ${icons.Play(14)} 继续抓取
+                </button>
+              ` : ''}
+            </div>
+          ` : ''}
+
           <!-- 2. 筛选与数据管理 (Filter & Fetch More) -->
           <div class="w-full bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
             <!-- 筛选头部 -->
@@ -2098,6 +4589,29 @@ const render = () => {
                   </div>
                 ` : ''}
 
+                <!-- 搜索与高级筛选 -->
+                <div class="flex flex-col gap-1">
+                  <span class="text-xs text-slate-500">搜索与高级筛选</span>
+                  <div class="flex gap-2">
+                    <input 
+                      type="search" 
+                      id="filter-query"
+                      class="flex-1 border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none"
+                      placeholder="关键词 #标签 has:media has:cw lang:zh fav:10"
+                      value="${escapeHtml(state.displayFilter.query)}"
+                    />
+                    <button 
+                      id="show-results"
+                      class="flex items-center gap-1 px-3 py-1 rounded bg-slate-100 text-slate-700 hover:bg-slate-200 text-xs font-medium transition-colors"
+                    >
+                      ${icons.Search(14)} 列出全部匹配
+                    </button>
+                  </div>
+                  <p class="text-[11px] text-slate-400 leading-relaxed">
+                    支持：关键词、"短语"、#标签、has:media / no:media、media:image|video|gifv|audio、has:cw / no:cw、visibility:public|unlisted|private|direct（私信需先勾选「显示私信」）、lang:语言、fav:最少喜欢数。条件同时作用于随机抽取。
+                  </p>
+                </div>
+
                 <!-- 日期范围筛选 -->
                 <div class="grid grid-cols-2 gap-4">
                   <div class="flex flex-col gap-1">
@@ -2120,6 +4634,33 @@ const render = () => {
                   </div>
                 </div>
                 
+                <!-- 抽取策略 -->
+                <div class="flex flex-col gap-1">
+                  <span class="text-xs text-slate-500">抽取策略</span>
+                  <select 
+                    id="pick-strategy"
+                    class="border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none bg-white"
+                  >
+                    ${PICK_STRATEGIES.map(strategy => `
+                      <option value="${strategy.id}" ${state.pickStrategy === strategy.id ? 'selected' : ''}>${strategy.label}</option>
+                    `).join('')}
+                  </select>
+                </div>
+
+                <!-- 敏感媒体 -->
+                <div class="flex flex-col gap-1">
+                  <span class="text-xs text-slate-500">敏感媒体${state.mixedPool ? '（当前嘟文所属账户）' : ''}</span>
+                  <select 
+                    id="sensitive-media"
+                    class="border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none bg-white disabled:opacity-50"
+                    ${state.mixedPool && !currentSource ? 'disabled' : ''}
+                  >
+                    ${SENSITIVE_MEDIA_MODES.map(mode => `
+                      <option value="${mode.id}" ${getSensitiveMediaMode(currentSource) === mode.id ? 'selected' : ''}>${mode.label}</option>
+                    `).join('')}
+                  </select>
+                </div>
+
                 <!-- 类型筛选 (如果数据里有) -->
                 <div class="flex gap-4 text-sm">
                   <label class="flex items-center gap-2 cursor-pointer text-slate-600">
@@ -2140,11 +4681,30 @@ const render = () => {
                     />
                     显示转嘟
                   </label>
+                  <label class="flex items-center gap-2 cursor-pointer text-slate-600">
+                    <input 
+                      type="checkbox" 
+                      id="show-direct"
+                      class="rounded text-indigo-600 focus:ring-indigo-500"
+                      ${state.displayFilter.showDirect ? 'checked' : ''}
+                    />
+                    显示私信
+                  </label>
                 </div>
                 <div class="text-xs text-slate-400 italic">提示：如果抓取时已排除了回复/转嘟，此处勾选也无法显示。</div>
 
                 <div class="border-t border-slate-100 my-2"></div>
 
+                ${state.mixedPool ? `
+                  <!-- 混合随机池权重 -->
+                  <div class="flex items-center gap-3 text-sm">
+                    <span class="text-slate-500">账户权重</span>
+                    <select id="mixed-weighting" class="border border-slate-300 rounded px-2 py-1 text-sm focus:border-indigo-500 outline-none bg-white">
+                      <option value="equal" ${state.mixedPool.weighting === 'equal' ? 'selected' : ''}>每个账户机会相同</option>
+                      <option value="count" ${state.mixedPool.weighting === 'count' ? 'selected' : ''}>按嘟文数量加权</option>
+                    </select>
+                  </div>
+                ` : `
                 <!-- 增量抓取按钮 -->
                 <div class="flex gap-2">
                   <button 
@@ -2160,10 +4720,36 @@ const render = () => {
                     ${icons.ArrowUp(14)} 抓取更新的数据
                   </button>
                 </div>
+                `}
               </div>
             ` : ''}
           </div>
 
+          ${state.queryResults ? `
+            <!-- 2.5 结果列表 (Query Results) -->
+            <div class="w-full flex flex-col gap-4" id="query-results">
+              <div class="flex items-center justify-between text-sm text-slate-600">
+                <span>共匹配 <span class="font-bold text-indigo-600">${state.queryResults.length}</span> 条嘟文</span>
+                <button id="close-results" class="flex items-center gap-1 text-slate-400 hover:text-slate-600 text-xs transition-colors">
+                  ${icons.X(14)} 关闭列表
+                </button>
+              </div>
+              ${state.queryResults.slice(0, state.queryResultsLimit).map(({ status, source }, idx) => `
+                <div data-result-index="${idx}" class="w-full">
+                  ${renderStatusCard(status, source)}
+                </div>
+              `).join('')}
+              ${state.queryResults.length > state.queryResultsLimit ? `
+                <button 
+                  id="more-results"
+                  class="w-full py-2 rounded-lg bg-white border border-slate-200 hover:bg-slate-50 text-slate-600 text-sm transition-colors"
+                >
+                  显示更多 (剩余 ${state.queryResults.length - state.queryResultsLimit} 条)
+                </button>
+              ` : ''}
+            </div>
+          ` : ''}
+
           <!-- 3. Controls - Below Status -->
           <div class="flex flex-col gap-3 items-center w-full pb-10">
             <!-- Primary Action -->
@@ -2175,7 +4761,8 @@ const render = () => {
               <span>${state.currentStatus ? '再来一条' : '开始随机抽取'}</span>
             </button>
 
-            <!-- Secondary Actions: Downloads -->
+            <!-- Secondary Actions: Downloads (混合模式下请在账户库中分别导出) -->
+            ${!state.mixedPool ? `
             <div class="flex gap-2 w-full max-w-xs">
               <button
                 id="download-raw"
@@ -2195,9 +4782,30 @@ const render = () => {
                 <span>数据 + 进度</span>
               </button>
             </div>
+            ` : ''}
 
             <!-- Tertiary Actions: Reset and Return Home -->
             <div class="flex flex-col gap-2 items-center mt-2">
+              ${!state.mixedPool && !state.enrichment && unresolvedReblogCount > 0 ? `
+                <button
+                  id="resolve-reblogs"
+                  class="flex items-center gap-2 text-slate-400 hover:text-indigo-600 px-4 py-2 rounded-lg text-xs transition-colors"
+                  title="存档中的转嘟只有链接，从远程获取原帖的内容、作者和媒体"
+                >
+                  ${icons.Repeat(14)}
+                  <span>补全转嘟内容 (${unresolvedReblogCount})</span>
+                </button>
+              ` : ''}
+              ${!state.mixedPool && !state.refresh && !state.loading && getRefreshTarget() ? `
+                <button
+                  id="refresh-statuses"
+                  class="flex items-center gap-2 text-slate-400 hover:text-indigo-600 px-4 py-2 rounded-lg text-xs transition-colors"
+                  title="重新获取已缓存的嘟文，同步编辑、删除和喜欢/转嘟计数"
+                >
+                  ${icons.RefreshCw(14)}
+                  <span>刷新已缓存的嘟文</span>
+                </button>
+              ` : ''}
               ${state.viewedIds.size > 0 ? `
                 <button
                   id="clear-history"
@@ -2256,16 +4864,26 @@ const render = () => {
           <div 
             class="relative flex flex-col items-center justify-center max-w-full max-h-[90vh]" 
           >
-            <img 
-              src="${fullscreenImageState.images[fullscreenImageState.currentIndex].url}" 
-              alt="${(fullscreenImageState.images[fullscreenImageState.currentIndex].description || 'Fullscreen view').replace(/"/g, '&quot;')}" 
-              class="max-w-full max-h-[85vh] object-contain rounded-md shadow-2xl select-none"
-            />
+            ${fullscreenImageState.hideable && !revealedMedia.has(fullscreenImageState.mediaKey) ? `
+              <!-- 与卡片共用显示状态：在卡片上重新隐藏后，全屏查看也只显示模糊占位 -->
+              <div
+                class="relative w-[80vw] max-w-3xl h-[60vh] rounded-md bg-slate-800 bg-cover bg-center"
+                ${blurhashToDataUrl(fullscreenImageState.images[fullscreenImageState.currentIndex].blurhash) ? `style="background-image: url('${blurhashToDataUrl(fullscreenImageState.images[fullscreenImageState.currentIndex].blurhash)}')"` : ''}
+              >
+                <button
+                  data-reveal-media="${escapeHtml(fullscreenImageState.mediaKey)}"
+                  class="absolute inset-0 flex flex-col items-center justify-center gap-1 text-white bg-black/30 hover:bg-black/40 transition-colors rounded-md"
+                >
+                  <span class="font-medium">敏感内容</span>
+                  <span class="text-xs opacity-80">点击显示</span>
+                </button>
+              </div>
+            ` : renderFullscreenMedia(fullscreenImageState.images[fullscreenImageState.currentIndex])}
             
             <!-- Caption / Description -->
             ${fullscreenImageState.images[fullscreenImageState.currentIndex].description ? `
               <div class="mt-4 text-white/90 text-sm bg-black/50 px-4 py-2 rounded-lg max-w-2xl text-center backdrop-blur-sm">
-                ${fullscreenImageState.images[fullscreenImageState.currentIndex].description}
+                ${escapeHtml(fullscreenImageState.images[fullscreenImageState.currentIndex].description)}
               </div>
             ` : ''}
 
@@ -2293,6 +4911,9 @@ const render = () => {
 
   // Attach event listeners
   attachEventListeners();
+
+  // 存档 ZIP 中的媒体按需读取
+  hydrateArchiveMedia();
   
   // Setup keyboard navigation
   setupKeyboardNavigation();
@@ -2336,13 +4957,74 @@ const attachEventListeners = () => {
         }
         return;
       }
-      saveAuthToken(state.tokenRequest.domain, value);
-      state.tokenRequest = { visible: false, domain: null };
-      const resolver = tokenRequestResolver;
-      tokenRequestResolver = null;
-      tokenRequestRejecter = null;
+      resolveTokenRequest(value);
+    });
+  }
+
+  // 凭据管理
+  const toggleCredentials = document.getElementById('toggle-credentials');
+  if (toggleCredentials) {
+    toggleCredentials.addEventListener('click', () => {
+      state.showCredentials = !state.showCredentials;
+      state.credentialsError = null;
+      render();
+    });
+  }
+
+  const closeCredentials = document.getElementById('close-credentials');
+  if (closeCredentials) {
+    closeCredentials.addEventListener('click', () => {
+      state.showCredentials = false;
       render();
-      if (resolver) resolver(value);
+    });
+  }
+
+  document.querySelectorAll('[data-credential-verify]').forEach(btn => {
+    btn.addEventListener('click', () => checkCredential(btn.getAttribute('data-credential-verify')));
+  });
+  document.querySelectorAll('[data-credential-revoke]').forEach(btn => {
+    btn.addEventListener('click', () => revokeCredential(btn.getAttribute('data-credential-revoke')));
+  });
+  document.querySelectorAll('[data-credential-delete]').forEach(btn => {
+    btn.addEventListener('click', () => removeCredential(btn.getAttribute('data-credential-delete')));
+  });
+
+  const credentialsUnlock = document.getElementById('credentials-unlock');
+  if (credentialsUnlock) {
+    credentialsUnlock.addEventListener('click', () => {
+      unlockCredentials(document.getElementById('credentials-passphrase').value);
+    });
+  }
+
+  const credentialsAdd = document.getElementById('credentials-add');
+  if (credentialsAdd) {
+    credentialsAdd.addEventListener('click', () => {
+      addCredential(
+        document.getElementById('credentials-domain').value,
+        document.getElementById('credentials-token').value.trim()
+      );
+    });
+  }
+
+  const credentialsEncrypt = document.getElementById('credentials-encrypt');
+  if (credentialsEncrypt) {
+    credentialsEncrypt.addEventListener('click', () => {
+      setCredentialsPassphrase(
+        document.getElementById('credentials-new-passphrase').value,
+        document.getElementById('credentials-confirm-passphrase').value
+      );
+    });
+  }
+
+  const credentialsDecrypt = document.getElementById('credentials-decrypt');
+  if (credentialsDecrypt) {
+    credentialsDecrypt.addEventListener('click', clearCredentialsPassphrase);
+  }
+
+  const tokenOAuth = document.getElementById('token-oauth');
+  if (tokenOAuth) {
+    tokenOAuth.addEventListener('click', () => {
+      startOAuthLogin();
     });
   }
 
@@ -2391,6 +5073,20 @@ const attachEventListeners = () => {
       fileInputFolder.click();
     });
   }
+  if (fileDropZone) {
+    fileDropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      fileDropZone.classList.add('border-indigo-400', 'bg-indigo-50');
+    });
+    fileDropZone.addEventListener('dragleave', () => {
+      fileDropZone.classList.remove('border-indigo-400', 'bg-indigo-50');
+    });
+    fileDropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      fileDropZone.classList.remove('border-indigo-400', 'bg-indigo-50');
+      handleFileUpload({ target: { files: e.dataTransfer.files } });
+    });
+  }
   if (fileInputFile) {
     fileInputFile.addEventListener('change', handleFileUpload);
   }
@@ -2446,25 +5142,86 @@ const attachEventListeners = () => {
     returnHomeBtn.addEventListener('click', returnToHome);
   }
 
+  // 本地账户库操作
+  document.querySelectorAll('[data-library-open]').forEach(btn => {
+    btn.addEventListener('click', () => openCachedAccount(btn.getAttribute('data-library-open')));
+  });
+  document.querySelectorAll('[data-library-refresh]').forEach(btn => {
+    btn.addEventListener('click', () => refreshCachedAccount(btn.getAttribute('data-library-refresh')));
+  });
+  document.querySelectorAll('[data-library-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportLibraryEntry(btn.getAttribute('data-library-export')));
+  });
+  document.querySelectorAll('[data-library-delete]').forEach(btn => {
+    btn.addEventListener('click', () => deleteLibraryEntry(btn.getAttribute('data-library-delete')));
+  });
+  document.querySelectorAll('[data-library-select]').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      const id = checkbox.getAttribute('data-library-select');
+      const selection = new Set(state.librarySelection);
+      if (e.target.checked) selection.add(id);
+      else selection.delete(id);
+      state.librarySelection = selection;
+      render();
+    });
+  });
+
+  // 混合随机池
+  const libraryWeighting = document.getElementById('library-weighting');
+  if (libraryWeighting) {
+    libraryWeighting.addEventListener('change', (e) => {
+      state.mixedWeighting = e.target.value;
+    });
+  }
+
+  const openMixedPoolBtn = document.getElementById('open-mixed-pool');
+  if (openMixedPoolBtn) {
+    openMixedPoolBtn.addEventListener('click', () => {
+      openMixedPool(Array.from(state.librarySelection), state.mixedWeighting);
+    });
+  }
+
+  const mixedWeighting = document.getElementById('mixed-weighting');
+  if (mixedWeighting) {
+    mixedWeighting.addEventListener('change', (e) => {
+      state.mixedWeighting = e.target.value;
+      if (state.mixedPool) state.mixedPool.weighting = e.target.value;
+    });
+  }
+
   // Media image click handlers
-  const mediaImages = document.querySelectorAll('.media-image');
+  const mediaImages = document.querySelectorAll('.media-image, .media-expand');
   mediaImages.forEach(img => {
     img.addEventListener('click', (e) => {
-      const imageIndex = parseInt(e.target.getAttribute('data-image-index'));
-      if (isNaN(imageIndex)) return;
+      const imageIndex = parseInt(img.getAttribute('data-image-index'));
+      if (isNaN(imageIndex) || imageIndex < 0) return;
       
-      // Find all images in current status (check reblog if it's a reblog)
-      if (state.currentStatus) {
-        const displayStatus = state.currentStatus.reblog || state.currentStatus;
+      // 结果列表中的卡片使用对应的嘟文，否则使用当前抽取的嘟文
+      const resultHolder = e.target.closest('[data-result-index]');
+      const resultItem = resultHolder && state.queryResults
+        ? state.queryResults[parseInt(resultHolder.getAttribute('data-result-index'))]
+        : null;
+      const ownerStatus = resultHolder ? resultItem?.status : state.currentStatus;
+      const ownerSource = resultHolder ? resultItem?.source : getPickedSource();
+
+      // Find all images in the status (check reblog if it's a reblog)
+      if (ownerStatus) {
+        const displayStatus = ownerStatus.reblog || ownerStatus;
         const mediaAttachments = displayStatus.media_attachments || [];
-        const imageAttachments = mediaAttachments.filter(m => m.type === 'image');
+        const imageAttachments = mediaAttachments.filter(m => GALLERY_MEDIA_TYPES.includes(m.type));
         
         if (imageAttachments.length > 0) {
           fullscreenImageState = {
             currentIndex: imageIndex,
+            // 敏感媒体的显示状态与卡片共用
+            mediaKey: displayStatus.uri || displayStatus.url || displayStatus.id,
+            hideable: isMediaHideable(displayStatus, getSensitiveMediaMode(ownerSource)),
             images: imageAttachments.map(img => ({
+              type: img.type,
               url: img.url,
+              preview_url: img.preview_url || null,
               description: img.description || null,
+              blurhash: img.blurhash || null,
             })),
           };
           render();
@@ -2547,6 +5304,14 @@ const attachEventListeners = () => {
     });
   }
 
+  const viaInstance = document.getElementById('via-instance');
+  if (viaInstance) {
+    viaInstance.addEventListener('change', (e) => {
+      state.fetchConfig.viaInstance = e.target.value;
+      render();
+    });
+  }
+
   // 暂停/停止按钮
   const togglePauseBtn = document.getElementById('toggle-pause');
   if (togglePauseBtn) {
@@ -2604,6 +5369,54 @@ const attachEventListeners = () => {
     });
   }
 
+  // 查询框与结果列表
+  const filterQuery = document.getElementById('filter-query');
+  if (filterQuery) {
+    filterQuery.addEventListener('input', (e) => {
+      state.displayFilter.query = e.target.value;
+    });
+    filterQuery.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        showQueryResults();
+      }
+    });
+  }
+
+  const showResultsBtn = document.getElementById('show-results');
+  if (showResultsBtn) {
+    showResultsBtn.addEventListener('click', showQueryResults);
+  }
+
+  const closeResults = document.getElementById('close-results');
+  if (closeResults) {
+    closeResults.addEventListener('click', () => {
+      state.queryResults = null;
+      render();
+    });
+  }
+
+  const moreResults = document.getElementById('more-results');
+  if (moreResults) {
+    moreResults.addEventListener('click', () => {
+      state.queryResultsLimit += RESULTS_PAGE_SIZE;
+      render();
+    });
+  }
+
+  // 抽取策略（单账户模式下随账户保存）
+  const pickStrategy = document.getElementById('pick-strategy');
+  if (pickStrategy) {
+    pickStrategy.addEventListener('change', (e) => {
+      state.pickStrategy = e.target.value;
+      if (state.isCached && !state.mixedPool && state.currentAccount) {
+        saveCachedAccount(state.currentAccount.id, { pickStrategy: state.pickStrategy }).catch((err) => {
+          console.warn('Failed to save pick strategy:', err);
+        });
+      }
+    });
+  }
+
   // 筛选类型
   const showReplies = document.getElementById('show-replies');
   if (showReplies) {
@@ -2618,6 +5431,12 @@ const attachEventListeners = () => {
       state.displayFilter.showReblogs = e.target.checked;
     });
   }
+  const showDirect = document.getElementById('show-direct');
+  if (showDirect) {
+    showDirect.addEventListener('change', (e) => {
+      state.displayFilter.showDirect = e.target.checked;
+    });
+  }
 
   // 增量抓取按钮
   const fetchOlder = document.getElementById('fetch-older');
@@ -2633,14 +5452,122 @@ const attachEventListeners = () => {
       executeFetch('newer');
     });
   }
+
+  // 敏感媒体：点击显示 / 重新隐藏
+  document.querySelectorAll('[data-reveal-media]').forEach((btn) => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      revealedMedia.add(btn.dataset.revealMedia);
+      render();
+    });
+  });
+  document.querySelectorAll('[data-hide-media]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      revealedMedia.delete(btn.dataset.hideMedia);
+      render();
+    });
+  });
+
+  const sensitiveMediaSelect = document.getElementById('sensitive-media');
+  if (sensitiveMediaSelect) {
+    sensitiveMediaSelect.addEventListener('change', (e) => {
+      const mode = e.target.value;
+      // 混合模式下修改当前嘟文所属账户的设置
+      const source = getPickedSource();
+      if (state.mixedPool) {
+        if (!source) return;
+        source.sensitiveMedia = mode;
+      } else {
+        state.sensitiveMedia = mode;
+      }
+      const accountId = state.mixedPool ? source.id : state.isCached && state.currentAccount?.id;
+      if (accountId) {
+        saveCachedAccount(accountId, { sensitiveMedia: mode }).catch((err) => {
+          console.warn('Failed to save sensitive media setting:', err);
+        });
+      }
+      render();
+    });
+  }
+
+  // 内容警告的展开状态
+  document.querySelectorAll('details[data-cw-key]').forEach((details) => {
+    details.addEventListener('toggle', () => {
+      if (details.open) revealedContentWarnings.add(details.dataset.cwKey);
+      else revealedContentWarnings.delete(details.dataset.cwKey);
+    });
+  });
+
+  // 嘟文互动
+  document.querySelectorAll('[data-interaction]').forEach((btn) => {
+    btn.addEventListener('click', () => handleInteraction(btn.dataset.interaction));
+  });
+  const actionReply = document.getElementById('action-reply');
+  if (actionReply) {
+    actionReply.addEventListener('click', toggleReplyComposer);
+  }
+  const replyText = document.getElementById('reply-text');
+  if (replyText) {
+    replyText.addEventListener('input', (e) => {
+      if (state.replyDraft) state.replyDraft.text = e.target.value;
+    });
+  }
+  const cancelReply = document.getElementById('cancel-reply');
+  if (cancelReply) {
+    cancelReply.addEventListener('click', toggleReplyComposer);
+  }
+  const sendReplyBtn = document.getElementById('send-reply');
+  if (sendReplyBtn) {
+    sendReplyBtn.addEventListener('click', sendReply);
+  }
+
+  // 查看对话
+  const toggleThreadBtn = document.getElementById('toggle-thread');
+  if (toggleThreadBtn) {
+    toggleThreadBtn.addEventListener('click', toggleThread);
+  }
+
+  // 刷新已缓存的嘟文
+  const refreshStatusesBtn = document.getElementById('refresh-statuses');
+  if (refreshStatusesBtn) {
+    refreshStatusesBtn.addEventListener('click', refreshStatuses);
+  }
+  const togglePauseRefresh = document.getElementById('toggle-pause-refresh');
+  if (togglePauseRefresh) {
+    togglePauseRefresh.addEventListener('click', toggleRefreshPause);
+  }
+  const stopRefreshBtn = document.getElementById('stop-refresh');
+  if (stopRefreshBtn) {
+    stopRefreshBtn.addEventListener('click', stopRefresh);
+  }
+
+  // 补全存档中的转嘟
+  const resolveReblogsBtn = document.getElementById('resolve-reblogs');
+  if (resolveReblogsBtn) {
+    resolveReblogsBtn.addEventListener('click', resolveReblogs);
+  }
+  const togglePauseEnrich = document.getElementById('toggle-pause-enrich');
+  if (togglePauseEnrich) {
+    togglePauseEnrich.addEventListener('click', toggleEnrichmentPause);
+  }
+  const stopEnrich = document.getElementById('stop-enrich');
+  if (stopEnrich) {
+    stopEnrich.addEventListener('click', stopEnrichment);
+  }
+
+  // 从中断处继续抓取
+  const resumeFetch = document.getElementById('resume-fetch');
+  if (resumeFetch) {
+    resumeFetch.addEventListener('click', () => {
+      executeFetch('resume');
+    });
+  }
 };
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-  // Try to auto-load cached data first
+document.addEventListener('DOMContentLoaded', async () => {
+  // Render empty state first, then open the last-used cached account (if any)
+  render();
+  await handleOAuthCallback();
   autoLoadCachedData();
-  // If no cached data was loaded, render empty state
-  if (!state.currentAccount) {
-    render();
-  }
 });
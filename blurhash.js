@@ -0,0 +1,121 @@
+/**
+ * BlurHash 解码
+ * Mastodon 与 Misskey 的媒体附件都带有 blurhash，用来在图片加载前或敏感媒体被隐藏时显示模糊的色块。
+ * 算法见 https://github.com/woltapp/blurhash，这里只实现解码，结果绘制到小尺寸 canvas 后转为 data URL。
+ */
+
+const BASE83_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// 解码结果按 hash 缓存，重新渲染时不重复计算
+const dataUrlCache = new Map();
+
+const decode83 = (str) => {
+  let value = 0;
+  for (const char of str) {
+    const digit = BASE83_DIGITS.indexOf(char);
+    if (digit === -1) return NaN;
+    value = value * 83 + digit;
+  }
+  return value;
+};
+
+const sRGBToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const linearToSRGB = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255 + 0.5)
+    : Math.round((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+const signPow = (value, exp) => Math.sign(value) * Math.pow(Math.abs(value), exp);
+
+/**
+ * 把 blurhash 解码为 RGBA 像素
+ * @param {string} hash
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray|null} hash 无效时返回 null
+ */
+export const decodeBlurhash = (hash, width, height) => {
+  if (typeof hash !== 'string' || hash.length < 6) return null;
+
+  const sizeFlag = decode83(hash[0]);
+  const numY = Math.floor(sizeFlag / 9) + 1;
+  const numX = (sizeFlag % 9) + 1;
+  if (hash.length !== 4 + 2 * numX * numY) return null;
+
+  const maximumValue = (decode83(hash[1]) + 1) / 166;
+  const colors = [];
+  for (let i = 0; i < numX * numY; i++) {
+    if (i === 0) {
+      const value = decode83(hash.substring(2, 6));
+      colors.push([sRGBToLinear(value >> 16), sRGBToLinear((value >> 8) & 255), sRGBToLinear(value & 255)]);
+    } else {
+      const value = decode83(hash.substring(4 + i * 2, 6 + i * 2));
+      colors.push([
+        signPow((Math.floor(value / (19 * 19)) - 9) / 9, 2) * maximumValue,
+        signPow((Math.floor(value / 19) % 19 - 9) / 9, 2) * maximumValue,
+        signPow((value % 19 - 9) / 9, 2) * maximumValue,
+      ]);
+    }
+  }
+  if (colors.some(color => color.some(Number.isNaN))) return null;
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let j = 0; j < numY; j++) {
+        for (let i = 0; i < numX; i++) {
+          const basis = Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+      const offset = 4 * (x + y * width);
+      pixels[offset] = linearToSRGB(r);
+      pixels[offset + 1] = linearToSRGB(g);
+      pixels[offset + 2] = linearToSRGB(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+};
+
+/**
+ * 把 blurhash 转为可以直接用作 src / background-image 的 data URL
+ * @param {string|null} hash
+ * @param {number} [width=32]
+ * @param {number} [height=32]
+ * @returns {string|null} 无 hash、hash 无效或无法创建 canvas 时返回 null
+ */
+export const blurhashToDataUrl = (hash, width = 32, height = 32) => {
+  if (!hash) return null;
+  const cacheKey = `${hash}:${width}x${height}`;
+  if (dataUrlCache.has(cacheKey)) return dataUrlCache.get(cacheKey);
+
+  let dataUrl = null;
+  const pixels = decodeBlurhash(hash, width, height);
+  if (pixels) {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.putImageData(new ImageData(pixels, width, height), 0, 0);
+      dataUrl = canvas.toDataURL();
+    } catch (e) {
+      console.warn('Failed to draw blurhash:', e);
+    }
+  }
+  dataUrlCache.set(cacheKey, dataUrl);
+  return dataUrl;
+};
@@ -0,0 +1,252 @@
+/**
+ * 实例凭据（Access Token）管理
+ * 以 { 域名: { token, platform, source, clientId, scopes, savedAt } } 的形式保存在 localStorage 的 instance_tokens 中。
+ * 设置口令后整体使用 AES-GCM 加密，密钥由 PBKDF2 从口令派生，解锁后只保存在内存中。
+ */
+
+const STORAGE_KEY = 'instance_tokens';
+// 使用 Mastodon 兼容 API（verify_credentials、/oauth/revoke）的平台
+const MASTODON_COMPATIBLE = ['mastodon', 'pleroma', 'gotosocial'];
+const PBKDF2_ITERATIONS = 250000;
+
+// 本次会话解锁（或设置口令）后得到的密钥
+let sessionKey = null;
+let sessionSalt = null;
+
+const readStored = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const isEnvelope = (data) => !!data && data.encrypted === true && typeof data.data === 'string';
+
+// 旧版本直接保存 { 域名: Token 字符串 }
+const normalizeEntries = (raw) => {
+  const entries = {};
+  Object.entries(raw || {}).forEach(([domain, value]) => {
+    if (typeof value === 'string') {
+      if (value) entries[domain] = { token: value, source: 'manual' };
+    } else if (value && value.token) {
+      entries[domain] = value;
+    }
+  });
+  return entries;
+};
+
+const toBase64 = (bytes) => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * 保存的凭据是否已用口令加密
+ * @returns {boolean}
+ */
+export const isEncrypted = () => isEnvelope(readStored());
+
+/**
+ * 凭据已加密且本次会话尚未解锁
+ * @returns {boolean}
+ */
+export const isLocked = () => isEncrypted() && !sessionKey;
+
+/**
+ * 读取未加密的凭据；已加密时返回空对象，需先调用 unlockTokens
+ * @returns {Object} { 域名: 凭据 }
+ */
+export const loadTokens = () => {
+  const data = readStored();
+  if (!data || isEnvelope(data)) return {};
+  return normalizeEntries(data);
+};
+
+/**
+ * 用口令解锁已加密的凭据
+ * @param {string} passphrase
+ * @returns {Promise<Object>} { 域名: 凭据 }
+ */
+export const unlockTokens = async (passphrase) => {
+  const data = readStored();
+  if (!isEnvelope(data)) return loadTokens();
+
+  const salt = fromBase64(data.salt);
+  const key = await deriveKey(passphrase, salt);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(data.iv) }, key, fromBase64(data.data));
+  } catch {
+    throw new Error('口令不正确');
+  }
+  sessionKey = key;
+  sessionSalt = salt;
+  return normalizeEntries(JSON.parse(new TextDecoder().decode(plain)));
+};
+
+/**
+ * 写入凭据；已设置口令时加密保存
+ * @param {Object} entries - { 域名: 凭据 }
+ * @returns {Promise<void>}
+ */
+export const persistTokens = async (entries) => {
+  if (!sessionKey) {
+    // 不能用明文覆盖尚未解锁的加密数据
+    if (isEncrypted()) throw new Error('凭据已加密，请先解锁');
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    return;
+  }
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipher = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    sessionKey,
+    new TextEncoder().encode(JSON.stringify(entries))
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    encrypted: true,
+    salt: toBase64(sessionSalt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(cipher)),
+  }));
+};
+
+/**
+ * 设置（或更换）口令并加密保存
+ * @param {string} passphrase
+ * @param {Object} entries
+ * @returns {Promise<void>}
+ */
+export const enableEncryption = async (passphrase, entries) => {
+  sessionSalt = crypto.getRandomValues(new Uint8Array(16));
+  sessionKey = await deriveKey(passphrase, sessionSalt);
+  await persistTokens(entries);
+};
+
+/**
+ * 取消口令，改回明文保存
+ * @param {Object} entries
+ * @returns {Promise<void>}
+ */
+export const disableEncryption = async (entries) => {
+  sessionKey = null;
+  sessionSalt = null;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+const toAccountSummary = (account) => ({
+  acct: account.acct,
+  display_name: account.display_name || account.username,
+  avatar: account.avatar || '',
+  url: account.url || '',
+});
+
+/**
+ * 校验 Token，返回其所属账户与权限范围
+ * Mastodon / Pleroma / GoToSocial 使用 verify_credentials，Misskey 使用 /api/i；未知平台时依次尝试
+ * @param {string} domain
+ * @param {Object} entry - 凭据
+ * @returns {Promise<{platform: string, account: Object, scopes: string|null, appName: string|null}>}
+ */
+export const verifyToken = async (domain, entry) => {
+  if (entry.platform !== 'misskey') {
+    const headers = { Authorization: `Bearer ${entry.token}` };
+    let res = null;
+    const knownPlatform = MASTODON_COMPATIBLE.includes(entry.platform);
+    try {
+      res = await fetch(`https://${domain}/api/v1/accounts/verify_credentials`, { headers });
+    } catch (e) {
+      if (knownPlatform) throw e;
+    }
+    if (res && res.ok) {
+      const account = await res.json();
+      let scopes = entry.scopes || null;
+      let appName = null;
+      try {
+        const appRes = await fetch(`https://${domain}/api/v1/apps/verify_credentials`, { headers });
+        if (appRes.ok) {
+          const app = await appRes.json();
+          appName = app.name || null;
+          if (app.scopes) scopes = Array.isArray(app.scopes) ? app.scopes.join(' ') : app.scopes;
+        }
+      } catch {
+        // 旧版本实例没有该接口
+      }
+      return { platform: entry.platform || 'mastodon', account: toAccountSummary(account), scopes, appName };
+    }
+    if (knownPlatform) {
+      throw new Error(`Token 无效或已过期: ${res.status} ${res.statusText}`);
+    }
+  }
+
+  const res = await fetch(`https://${domain}/api/i`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ i: entry.token }),
+  });
+  if (!res.ok) {
+    throw new Error(`Token 无效或已过期: ${res.status} ${res.statusText}`);
+  }
+  const user = await res.json();
+  return {
+    platform: 'misskey',
+    account: toAccountSummary({
+      acct: user.username,
+      display_name: user.name,
+      username: user.username,
+      avatar: user.avatarUrl,
+      url: `https://${domain}/@${user.username}`,
+    }),
+    scopes: entry.scopes || null,
+    appName: null,
+  };
+};
+
+/**
+ * 在服务器上撤销 Token
+ * Mastodon / GoToSocial 使用 /oauth/revoke，需要签发该 Token 的应用凭证；Misskey 使用 /api/i/revoke-token，用 Token 自身撤销
+ * @param {string} domain
+ * @param {Object} entry - 凭据
+ * @param {{client_id: string, client_secret: string}|null} app - 签发该 Token 的应用
+ * @returns {Promise<void>}
+ */
+export const revokeToken = async (domain, entry, app) => {
+  if (entry.platform === 'misskey') {
+    const res = await fetch(`https://${domain}/api/i/revoke-token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ i: entry.token, token: entry.token }),
+    });
+    if (!res.ok) {
+      throw new Error(`撤销失败: ${res.status} ${res.statusText}`);
+    }
+    return;
+  }
+  if (!app) {
+    throw new Error('该 Token 不是通过本页面登录获得的，无法代为撤销，请在实例的设置页面中撤销授权');
+  }
+  const params = new URLSearchParams();
+  params.append('client_id', app.client_id);
+  params.append('client_secret', app.client_secret);
+  params.append('token', entry.token);
+  const res = await fetch(`https://${domain}/oauth/revoke`, { method: 'POST', body: params });
+  if (!res.ok) {
+    throw new Error(`撤销失败: ${res.status} ${res.statusText}`);
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * 嘟文互动：喜欢、转嘟、收藏与回复
+ * Mastodon 兼容实例使用 /api/v1/statuses/:id/*；Misskey 的喜欢对应表情回应，转嘟对应转发（renote），收藏对应 notes/favorites。
+ * 所有操作都需要带写入权限的 Token。
+ */
+
+import { scheduledFetch } from './scheduler.js';
+import { createApiError } from './missky.js';
+
+// 互动 → 嘟文上表示当前状态的字段与计数字段
+const STATE_FIELDS = { favourite: 'favourited', reblog: 'reblogged', bookmark: 'bookmarked' };
+const COUNT_FIELDS = { favourite: 'favourites_count', reblog: 'reblogs_count' };
+
+// Misskey 网页端“喜欢”按钮发送的表情
+const MISSKEY_LIKE_REACTION = '❤';
+
+// 嘟文的可见性（Misskey 帖子保留原值，存档导入的为 Mastodon 格式）→ Misskey 可见性
+const MISSKEY_VISIBILITY = {
+  public: 'public',
+  home: 'home',
+  followers: 'followers',
+  specified: 'specified',
+  unlisted: 'home',
+  private: 'followers',
+  direct: 'specified',
+};
+
+const idempotencyKey = () => (crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+const createMastodonError = async (res, message) => {
+  let detail = res.statusText;
+  try {
+    detail = (await res.json()).error || detail;
+  } catch {
+    // 响应不是 JSON
+  }
+  const error = new Error(`${message}: ${res.status} ${detail}`);
+  error.status = res.status;
+  return error;
+};
+
+const mastodonPost = async (domain, path, token, body = null, message = '操作失败') => {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+    // 失败重试时不会重复发嘟
+    headers['Idempotency-Key'] = idempotencyKey();
+  }
+  const res = await scheduledFetch(`https://${domain}/api/v1/${path}`, {
+    method: 'POST',
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!res.ok) throw await createMastodonError(res, message);
+  return res.json();
+};
+
+const misskeyPost = async (domain, endpoint, token, body, message = '操作失败') => {
+  // Misskey 不支持幂等键，服务器出错时帖子可能已经发出，发帖不自动重试
+  const options = endpoint === 'notes/create' ? { maxRetries: 0 } : {};
+  const res = await scheduledFetch(`https://${domain}/api/${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, i: token }),
+  }, options);
+  if (!res.ok) throw await createApiError(res, message);
+  // 部分接口成功时返回 204
+  return res.status === 204 ? null : res.json();
+};
+
+/**
+ * 判断互动失败是否因为 Token 缺少写入权限或已失效
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isPermissionError = (error) => !!error
+  && (error.status === 401 || error.status === 403
+    || ['PERMISSION_DENIED', 'CREDENTIAL_REQUIRED', 'AUTHENTICATION_FAILED'].includes(error.code));
+
+/**
+ * 切换喜欢 / 转嘟 / 收藏
+ * @param {string} domain - 嘟文 ID 所属的实例
+ * @param {string} platform - 'mastodon' | 'pleroma' | 'gotosocial' | 'misskey'
+ * @param {Object} status - 被操作的嘟文（转嘟时为原帖）
+ * @param {'favourite'|'reblog'|'bookmark'} action
+ * @param {string} token - 带写入权限的 Access Token
+ * @returns {Promise<Object>} 需要写回嘟文的字段（favourited、favourites_count 等）
+ */
+export const toggleInteraction = async (domain, platform, status, action, token) => {
+  const field = STATE_FIELDS[action];
+  if (!field) throw new Error(`未知的操作: ${action}`);
+  const active = !!status[field];
+
+  if (platform === 'misskey') {
+    const noteId = status.id;
+    if (action === 'favourite') {
+      await misskeyPost(domain, active ? 'notes/reactions/delete' : 'notes/reactions/create', token,
+        active ? { noteId } : { noteId, reaction: MISSKEY_LIKE_REACTION }, active ? '取消喜欢失败' : '喜欢失败');
+    } else if (action === 'reblog') {
+      await misskeyPost(domain, active ? 'notes/unrenote' : 'notes/create', token,
+        active ? { noteId } : { renoteId: noteId }, active ? '取消转发失败' : '转发失败');
+    } else {
+      await misskeyPost(domain, active ? 'notes/favorites/delete' : 'notes/favorites/create', token,
+        { noteId }, active ? '取消收藏失败' : '收藏失败');
+    }
+    const patch = { [field]: !active };
+    const countField = COUNT_FIELDS[action];
+    if (countField) patch[countField] = Math.max(0, (status[countField] || 0) + (active ? -1 : 1));
+    return patch;
+  }
+
+  const result = await mastodonPost(domain, `statuses/${status.id}/${active ? 'un' : ''}${action}`, token, null,
+    active ? '取消操作失败' : '操作失败');
+  // 转嘟接口返回的是转嘟本身，原帖在 reblog 中
+  const updated = result?.reblog || result || {};
+  return {
+    favourited: updated.favourited ?? status.favourited,
+    reblogged: action === 'reblog' ? !active : updated.reblogged ?? status.reblogged,
+    bookmarked: updated.bookmarked ?? status.bookmarked,
+    favourites_count: updated.favourites_count ?? status.favourites_count,
+    reblogs_count: updated.reblogs_count ?? status.reblogs_count,
+  };
+};
+
+/**
+ * 回复嘟文；可见性与内容警告沿用原帖
+ * @param {string} domain - 嘟文 ID 所属的实例
+ * @param {string} platform
+ * @param {Object} status - 被回复的嘟文
+ * @param {string} text - 回复内容
+ * @param {string} token - 带写入权限的 Access Token
+ * @returns {Promise<Object>} 新建的嘟文（平台原始格式）
+ */
+export const postReply = async (domain, platform, status, text, token) => {
+  const visibility = status.visibility || 'public';
+
+  if (platform === 'misskey') {
+    const body = { text, replyId: status.id, visibility: MISSKEY_VISIBILITY[visibility] || 'public' };
+    if (status.spoiler_text) body.cw = status.spoiler_text;
+    // 指定用户可见时需要列出可见的用户，这里只发给原帖作者
+    if (body.visibility === 'specified' && status.account?.id) body.visibleUserIds = [status.account.id];
+    const data = await misskeyPost(domain, 'notes/create', token, body, '回复失败');
+    return data?.createdNote || data;
+  }
+
+  return mastodonPost(domain, 'statuses', token, {
+    status: text,
+    in_reply_to_id: status.id,
+    visibility: { home: 'unlisted', followers: 'private', specified: 'direct' }[visibility] || visibility,
+    spoiler_text: status.spoiler_text || '',
+  }, '回复失败');
+};
@@ -0,0 +1,337 @@
+/**
+ * MFM（Misskey Flavored Markdown）渲染
+ * Misskey 的帖子正文是 MFM 纯文本，这里转换为可以直接插入页面的 HTML：
+ *   - 文字样式：**粗体**、<b>、<i>、*斜体*、~~删除线~~、<s>、<small>、<center>、<plain>
+ *   - 提及（@user、@user@host）与话题标签链接到帖子所在的实例，网址与 [文字](网址) 转为链接
+ *   - 行内代码、``` 代码块与 > 引用
+ *   - 常用的 $[fn] 效果；动画效果的样式在 index.html 中，系统开启“减少动态效果”时停止播放
+ * 所有文字都经过转义；:emoji: 与 :emoji@host: 原样保留，交给 replaceCustomEmojis 替换成图片。
+ */
+
+import { escapeHtml } from './sanitize.js';
+
+// 有动画的 $[fn] 与默认时长
+// 这几张表的键来自帖子正文，用 Map 查找，避免 constructor、toString 等取到 Object.prototype 上的属性
+const ANIMATION_DURATIONS = new Map([
+  ['jump', '0.75s'],
+  ['bounce', '0.75s'],
+  ['shake', '0.5s'],
+  ['twitch', '0.5s'],
+  ['tada', '1s'],
+  ['jelly', '1s'],
+  ['rainbow', '1s'],
+  ['spin', '1.5s'],
+]);
+
+const FONT_FAMILIES = new Map([
+  ['serif', 'serif'],
+  ['monospace', 'monospace'],
+  ['cursive', 'cursive'],
+  ['fantasy', 'fantasy'],
+]);
+
+const FONT_SIZES = new Map([['x2', '200%'], ['x3', '400%'], ['x4', '600%']]);
+
+const FN_PATTERN = /^\$\[([a-zA-Z0-9_]+)(?:\.([^\s\]]*))?[ \t\n]/;
+const MENTION_PATTERN = /^@([a-zA-Z0-9_]+(?:[.-]+[a-zA-Z0-9_]+)*)(?:@([a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)+))?/;
+const HASHTAG_PATTERN = /^#([^\s.,!?'"#:/[\]【】()「」（）<>]+)/;
+const URL_PATTERN = /^https?:\/\/[^\s<>"`{}|\\^]+/;
+const LINK_PATTERN = /^\??\[([^\]\n]+)\]\(<?(https?:\/\/[^\s)>]+)>?\)/;
+const EMOJI_PATTERN = /^:[a-zA-Z0-9_+-]+(?:@[a-zA-Z0-9_.-]+)?:/;
+
+// 能开始一段语法的字符；其他字符直接作为文字输出
+const TRIGGER_CHARS = new Set(['<', '`', '$', '*', '_', '~', '[', '?', 'h', '@', '#', ':']);
+
+// 提及、话题标签和网址前面不能紧跟字母或数字（例如邮箱地址、:emoji@host:）
+const isWordChar = (char) => /[a-zA-Z0-9_]/.test(char || '');
+
+const renderLink = (url, label) => `<a href="${escapeHtml(url)}" target="_blank" rel="nofollow noopener noreferrer" class="mfm-link">${label}</a>`;
+
+// 去掉网址末尾的标点和不成对的右括号
+const trimUrl = (url) => {
+  let result = url.replace(/[.,!?:;'"]+$/, '');
+  while (result.endsWith(')') && (result.match(/\(/g) || []).length < (result.match(/\)/g) || []).length) {
+    result = result.slice(0, -1).replace(/[.,!?:;'"]+$/, '');
+  }
+  return result;
+};
+
+// "x,speed=2s" → { x: true, speed: '2s' }
+const parseFnArgs = (value) => Object.fromEntries((value || '')
+  .split(',')
+  .filter(Boolean)
+  .map((arg) => {
+    const [key, ...rest] = arg.split('=');
+    return [key, rest.length > 0 ? rest.join('=') : true];
+  }));
+
+const toNumber = (value, fallback, min, max) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+const isValidSpeed = (value) => typeof value === 'string' && /^\d+(\.\d+)?(s|ms)$/.test(value);
+const isValidColor = (value) => typeof value === 'string' && /^[0-9a-f]{3,6}$/i.test(value);
+
+const wrapFn = (content, className, style = '') => `<span class="${className}"${style ? ` style="${style}"` : ''}>${content}</span>`;
+
+/**
+ * $[name.args content] → HTML；未知的效果只显示内容
+ */
+const renderFn = (name, args, content) => {
+  if (ANIMATION_DURATIONS.has(name)) {
+    const styles = [`animation-duration: ${isValidSpeed(args.speed) ? args.speed : ANIMATION_DURATIONS.get(name)}`];
+    let animation = name;
+    if (name === 'spin') {
+      if (args.x) animation = 'spinX';
+      else if (args.y) animation = 'spinY';
+      if (args.left) styles.push('animation-direction: reverse');
+      else if (args.alternate) styles.push('animation-direction: alternate');
+    }
+    return wrapFn(content, `mfm-inline mfm-anim mfm-${animation}`, styles.join('; '));
+  }
+
+  switch (name) {
+    case 'flip': {
+      const transform = args.h && args.v ? 'scale(-1, -1)' : args.v ? 'scaleY(-1)' : 'scaleX(-1)';
+      return wrapFn(content, 'mfm-inline', `transform: ${transform}`);
+    }
+    case 'x2':
+    case 'x3':
+    case 'x4':
+      return wrapFn(content, 'mfm-inline', `font-size: ${FONT_SIZES.get(name)}; line-height: 1.2`);
+    case 'font': {
+      const family = Object.keys(args).map(key => FONT_FAMILIES.get(key)).find(Boolean);
+      return family ? wrapFn(content, 'mfm-inline', `font-family: ${family}`) : content;
+    }
+    case 'blur':
+      return wrapFn(content, 'mfm-blur');
+    case 'rotate':
+      return wrapFn(content, 'mfm-inline', `transform: rotate(${toNumber(args.deg, 90, -360, 360)}deg); transform-origin: center`);
+    case 'position':
+      return wrapFn(content, 'mfm-inline', `transform: translate(${toNumber(args.x, 0, -10, 10)}em, ${toNumber(args.y, 0, -10, 10)}em)`);
+    case 'scale':
+      return wrapFn(content, 'mfm-inline', `transform: scale(${toNumber(args.x, 1, -5, 5)}, ${toNumber(args.y, 1, -5, 5)})`);
+    case 'fg':
+      return isValidColor(args.color) ? wrapFn(content, 'mfm-inline', `color: #${args.color}`) : content;
+    case 'bg':
+      return isValidColor(args.color) ? wrapFn(content, 'mfm-inline', `background-color: #${args.color}`) : content;
+    default:
+      return content;
+  }
+};
+
+// 找到与开头的 $[ 配对的 ]，返回其位置（没有时为 -1）
+const findClosingBracket = (text, start) => {
+  let depth = 1;
+  for (let j = start; j < text.length; j++) {
+    if (text[j] === '[') depth++;
+    else if (text[j] === ']') {
+      depth--;
+      if (depth === 0) return j;
+    }
+  }
+  return -1;
+};
+
+// 成对的标签：<b>…</b> 等
+const TAG_RENDERERS = {
+  b: inner => `<b>${inner}</b>`,
+  i: inner => `<i>${inner}</i>`,
+  s: inner => `<s>${inner}</s>`,
+  small: inner => `<small class="mfm-small">${inner}</small>`,
+};
+
+/**
+ * 尝试在文本开头匹配一段 MFM 语法
+ * @returns {{html: string, length: number}|null}
+ */
+const matchInline = (rest, prev, ctx) => {
+  const first = rest[0];
+
+  if (first === '<') {
+    if (rest.startsWith('<plain>')) {
+      const end = rest.indexOf('</plain>');
+      if (end > 0) {
+        return { html: escapeHtml(rest.slice(7, end)).replace(/\n/g, '<br>'), length: end + 8 };
+      }
+    }
+    if (rest.startsWith('<center>')) {
+      const end = rest.indexOf('</center>');
+      if (end > 0) {
+        const inner = rest.slice(8, end).replace(/^\n|\n$/g, '');
+        return { html: `<div class="mfm-center">${renderBlocks(inner, ctx)}</div>`, length: end + 9 };
+      }
+    }
+    const tag = Object.keys(TAG_RENDERERS).find(name => rest.startsWith(`<${name}>`));
+    if (tag) {
+      const end = rest.indexOf(`</${tag}>`);
+      if (end > tag.length + 2) {
+        return { html: TAG_RENDERERS[tag](renderInline(rest.slice(tag.length + 2, end), ctx)), length: end + tag.length + 3 };
+      }
+    }
+    const angleUrl = !ctx.noLinks && rest.match(/^<(https?:\/\/[^\s>]+)>/);
+    if (angleUrl) return { html: renderLink(angleUrl[1], escapeHtml(angleUrl[1])), length: angleUrl[0].length };
+    return null;
+  }
+
+  if (first === '`') {
+    const code = rest.match(/^`([^`\n]+)`/);
+    return code ? { html: `<code class="mfm-inline-code">${escapeHtml(code[1])}</code>`, length: code[0].length } : null;
+  }
+
+  if (first === '$') {
+    const fn = rest.match(FN_PATTERN);
+    if (!fn) return null;
+    const end = findClosingBracket(rest, fn[0].length);
+    if (end === -1) return null;
+    const content = renderInline(rest.slice(fn[0].length, end), ctx);
+    return { html: renderFn(fn[1], parseFnArgs(fn[2]), content), length: end + 1 };
+  }
+
+  if (first === '*' || first === '_') {
+    const marker = first + first;
+    if (rest.startsWith(marker)) {
+      // **粗体** 可以包含其他语法；__粗体__ 与 Misskey 一样只接受字母、数字和空格
+      if (first === '*') {
+        const end = rest.indexOf(marker, 2);
+        if (end > 2) return { html: `<b>${renderInline(rest.slice(2, end), ctx)}</b>`, length: end + 2 };
+      } else {
+        const bold = rest.match(/^__([a-zA-Z0-9 \t]+)__/);
+        if (bold) return { html: `<b>${escapeHtml(bold[1])}</b>`, length: bold[0].length };
+      }
+      return null;
+    }
+    if (isWordChar(prev)) return null;
+    const italic = first === '*' ? rest.match(/^\*([a-zA-Z0-9 \t]+)\*/) : rest.match(/^_([a-zA-Z0-9 \t]+)_/);
+    return italic ? { html: `<i>${escapeHtml(italic[1])}</i>`, length: italic[0].length } : null;
+  }
+
+  if (first === '~') {
+    const strike = rest.match(/^~~([^\n~]+)~~/);
+    return strike ? { html: `<s>${renderInline(strike[1], ctx)}</s>`, length: strike[0].length } : null;
+  }
+
+  if (first === '[' || first === '?') {
+    const link = !ctx.noLinks && rest.match(LINK_PATTERN);
+    if (!link) return null;
+    return { html: renderLink(link[2], renderInline(link[1], { ...ctx, noLinks: true })), length: link[0].length };
+  }
+
+  if (first === ':') {
+    const emoji = rest.match(EMOJI_PATTERN);
+    return emoji ? { html: escapeHtml(emoji[0]), length: emoji[0].length } : null;
+  }
+
+  if (ctx.noLinks || isWordChar(prev)) return null;
+
+  if (first === 'h') {
+    const url = rest.match(URL_PATTERN);
+    if (!url) return null;
+    const trimmed = trimUrl(url[0]);
+    return { html: renderLink(trimmed, escapeHtml(trimmed)), length: trimmed.length };
+  }
+
+  if (first === '@') {
+    const mention = rest.match(MENTION_PATTERN);
+    if (!mention) return null;
+    const [text, username, host] = mention;
+    const acct = host ? `${username}@${host}` : username;
+    const instance = ctx.host || host;
+    const url = instance ? `https://${instance}/@${acct}` : null;
+    if (ctx.mentions && !ctx.mentions.some(item => item.acct === acct)) {
+      ctx.mentions.push({ username, acct, url });
+    }
+    return { html: url ? renderLink(url, escapeHtml(text)) : escapeHtml(text), length: text.length };
+  }
+
+  if (first === '#') {
+    const hashtag = rest.match(HASHTAG_PATTERN);
+    if (!hashtag || /^\d+$/.test(hashtag[1])) return null;
+    const html = ctx.host
+      ? renderLink(`https://${ctx.host}/tags/${encodeURIComponent(hashtag[1])}`, escapeHtml(hashtag[0]))
+      : escapeHtml(hashtag[0]);
+    return { html, length: hashtag[0].length };
+  }
+
+  return null;
+};
+
+const renderInline = (text, ctx) => {
+  let html = '';
+  let plain = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const result = TRIGGER_CHARS.has(char) ? matchInline(text.slice(i), text[i - 1], ctx) : null;
+    if (result) {
+      html += escapeHtml(plain).replace(/\n/g, '<br>') + result.html;
+      plain = '';
+      i += result.length;
+    } else {
+      plain += char;
+      i++;
+    }
+  }
+  return html + escapeHtml(plain).replace(/\n/g, '<br>');
+};
+
+// 按行处理代码块与引用，其余部分交给 renderInline
+const renderBlocks = (text, ctx) => {
+  const lines = text.split('\n');
+  let html = '';
+  let buffer = [];
+  const flush = () => {
+    if (buffer.length > 0) html += renderInline(buffer.join('\n'), ctx);
+    buffer = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('```')) {
+      const end = lines.findIndex((item, j) => j > i && item.trim() === '```');
+      if (end !== -1) {
+        flush();
+        const lang = line.slice(3).trim();
+        html += `<pre class="mfm-code"><code${lang ? ` data-lang="${escapeHtml(lang)}"` : ''}>${escapeHtml(lines.slice(i + 1, end).join('\n'))}</code></pre>`;
+        i = end;
+        continue;
+      }
+    }
+    if (line.startsWith('>')) {
+      flush();
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quoted.push(lines[i].replace(/^> ?/, ''));
+        i++;
+      }
+      i--;
+      html += `<blockquote class="mfm-quote">${renderBlocks(quoted.join('\n'), ctx)}</blockquote>`;
+      continue;
+    }
+    buffer.push(line);
+  }
+  flush();
+  return html;
+};
+
+/**
+ * 把 MFM 文本渲染为 HTML
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.host] - 帖子作者所在的实例，提及与话题标签链接到这里
+ * @returns {string}
+ */
+export const renderMfm = (text, { host = '' } = {}) => renderBlocks(String(text || ''), { host, mentions: null });
+
+/**
+ * 找出 MFM 文本中的提及（代码块中的除外），用于转换后的 mentions 字段
+ * @param {string} text
+ * @param {string} host - 帖子作者所在的实例（不带 @host 的提及属于该实例）
+ * @returns {Array<{username: string, acct: string, url: string|null}>}
+ */
+export const extractMfmMentions = (text, host) => {
+  const ctx = { host, mentions: [] };
+  renderBlocks(String(text || ''), ctx);
+  return ctx.mentions;
+};
@@ -3,6 +3,39 @@
  * 纯前端 JavaScript，可在浏览器和 Node.js 18+ 中使用
  */
 
+import { scheduledFetch } from './scheduler.js';
+
+// 表示需要登录或 Token 无效的错误代码
+const AUTH_ERROR_CODES = ['CREDENTIAL_REQUIRED', 'AUTHENTICATION_FAILED', 'PERMISSION_DENIED', 'ACCESS_DENIED'];
+
+/**
+ * 根据 Misskey API 的错误响应创建错误对象，附带 status 与 code（如 CREDENTIAL_REQUIRED）
+ * @param {Response} response
+ * @param {string} message - 错误描述前缀
+ * @returns {Promise<Error>}
+ */
+export const createApiError = async (response, message) => {
+  let code = null;
+  try {
+    const data = await response.json();
+    code = data?.error?.code || null;
+  } catch {
+    // 响应不是 JSON
+  }
+  const error = new Error(`${message}: ${response.status} ${code || response.statusText}`);
+  error.status = response.status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * 判断错误是否由于需要认证（未提供 Token、Token 无效或权限不足）
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isMisskeyAuthError = (error) => !!error
+  && (error.status === 401 || error.status === 403 || AUTH_ERROR_CODES.includes(error.code));
+
 /**
  * 解析 Misskey 用户 URL
  * @param {string} inputUrl - Misskey 用户 URL，例如: https://misskey.io/@username
@@ -59,7 +92,7 @@ export const getUserId = async (instanceDomain, username, host = null, token = n
     body.i = token;
   }
 
-  const response = await fetch(apiUrl, {
+  const response = await scheduledFetch(apiUrl, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -68,7 +101,7 @@ export const getUserId = async (instanceDomain, username, host = null, token = n
   });
 
   if (!response.ok) {
-    throw new Error(`获取用户信息失败: ${response.status} ${response.statusText}`);
+    throw await createApiError(response, '获取用户信息失败');
   }
 
   const userData = await response.json();
@@ -80,6 +113,44 @@ export const getUserId = async (instanceDomain, username, host = null, token = n
   return userData.id;
 };
 
+// 以 POST JSON 调用 Misskey API，失败时抛出带 status/code 的错误
+const postApi = async (instanceDomain, endpoint, body, token, message) => {
+  const response = await scheduledFetch(`https://${instanceDomain}/api/${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(token ? { ...body, i: token } : body),
+  });
+  if (!response.ok) {
+    throw await createApiError(response, message);
+  }
+  return response.json();
+};
+
+/**
+ * 获取帖子的上下文：上文（notes/conversation）与直接回复（notes/children）
+ * @param {string} instanceDomain - Misskey 实例域名
+ * @param {string} noteId - 帖子 ID
+ * @param {Object} [options]
+ * @param {string} [options.token] - 访问令牌（可选）
+ * @param {number} [options.limit] - 每类最多获取的帖子数量（默认 30，最大 100）
+ * @returns {Promise<{ancestors: Array, children: Array}>} ancestors 按时间从早到晚排列
+ */
+export const getNoteContext = async (instanceDomain, noteId, options = {}) => {
+  const { token = null, limit = 30 } = options;
+  const [conversation, children] = await Promise.all([
+    postApi(instanceDomain, 'notes/conversation', { noteId, limit }, token, '获取上文失败'),
+    postApi(instanceDomain, 'notes/children', { noteId, limit }, token, '获取回复失败'),
+  ]);
+  return {
+    // conversation 从直接回复的帖子开始向上排列
+    ancestors: Array.isArray(conversation) ? [...conversation].reverse() : [],
+    // children 也包含引用该帖子的帖子，只保留回复
+    children: Array.isArray(children) ? children.filter(note => note.replyId === noteId) : [],
+  };
+};
+
 /**
  * 获取用户的所有帖子（Notes）
  * @param {string} instanceDomain - Misskey 实例域名
@@ -92,7 +163,11 @@ export const getUserId = async (instanceDomain, username, host = null, token = n
  * @param {Function} [options.onProgress] - 进度回调函数 (currentCount, totalCount)
  * @param {Function} [options.shouldStop] - 返回 true 时中断抓取
  * @param {Function} [options.shouldPause] - 返回 true 时暂停（轮询）
+ * @param {string} [options.untilId] - 从该 ID 之前继续抓取（用于断点续传）
+ * @param {Function} [options.onBatch] - 每页回调 (notes, nextUntilId)，可返回 Promise；没有下一页时 nextUntilId 为 null
+ * @param {Function} [options.onWait] - 触发速率限制或重试等待时的回调 (delayMs, reason)
  * @returns {Promise<Array>} 所有帖子的数组
+ * 请求失败时抛出的错误带有 notes（已抓取的帖子）和 untilId（续传游标）字段
  */
 export const getAllNotes = async (
   instanceDomain,
@@ -107,77 +182,94 @@ export const getAllNotes = async (
     onProgress = null,
     shouldStop = () => false,
     shouldPause = () => false,
+    untilId: startUntilId = null,
+    onBatch = null,
+    onWait = null,
   } = options;
 
   const apiUrl = `https://${instanceDomain}/api/users/notes`;
   const allNotes = [];
-  let untilId = null;
+  let untilId = startUntilId;
   let hasMore = true;
   let totalFetched = 0;
 
-  while (hasMore) {
-    // 停止
-    if (shouldStop()) break;
-    // 暂停轮询
-    while (shouldPause()) {
-      await new Promise((r) => setTimeout(r, 300));
+  try {
+    while (hasMore) {
+      // 停止
+      if (shouldStop()) break;
+      // 暂停轮询
+      while (shouldPause()) {
+        await new Promise((r) => setTimeout(r, 300));
+        if (shouldStop()) break;
+      }
       if (shouldStop()) break;
-    }
-    if (shouldStop()) break;
 
-    const body = {
-      userId: userId,
-      limit: limit,
-      includeReplies: includeReplies,
-      includeRenotes: includeRenotes,
-    };
+      const body = {
+        userId: userId,
+        limit: limit,
+        includeReplies: includeReplies,
+        includeRenotes: includeRenotes,
+      };
 
-    if (token) {
-      body.i = token;
-    }
+      if (token) {
+        body.i = token;
+      }
 
-    if (untilId) {
-      body.untilId = untilId;
-    }
+      if (untilId) {
+        body.untilId = untilId;
+      }
 
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(body),
-    });
+      const response = await scheduledFetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      }, { shouldStop, onWait });
 
-    if (!response.ok) {
-      throw new Error(`获取帖子失败: ${response.status} ${response.statusText}`);
-    }
+      // 等待重试期间被停止
+      if (!response) break;
 
-    const notes = await response.json();
+      if (!response.ok) {
+        throw await createApiError(response, '获取帖子失败');
+      }
 
-    if (!Array.isArray(notes)) {
-      throw new Error('API 返回的数据格式不正确');
-    }
+      const notes = await response.json();
 
-    if (notes.length === 0) {
-      hasMore = false;
-      break;
-    }
+      if (!Array.isArray(notes)) {
+        throw new Error('API 返回的数据格式不正确');
+      }
 
-    allNotes.push(...notes);
-    totalFetched += notes.length;
+      if (notes.length === 0) {
+        hasMore = false;
+        break;
+      }
 
-    // 调用进度回调
-    if (onProgress) {
-      onProgress(totalFetched, null);
-    }
+      allNotes.push(...notes);
+      totalFetched += notes.length;
+
+      // 调用进度回调
+      if (onProgress) {
+        onProgress(totalFetched, null);
+      }
 
-    // 如果返回的帖子数量少于 limit，说明已经获取完所有帖子
-    if (notes.length < limit) {
-      hasMore = false;
-    } else {
-      // 获取最旧一条帖子的 ID 作为下次请求的 untilId
-      untilId = notes[notes.length - 1].id;
+      // 如果返回的帖子数量少于 limit，说明已经获取完所有帖子
+      if (notes.length < limit) {
+        hasMore = false;
+      } else {
+        // 获取最旧一条帖子的 ID 作为下次请求的 untilId
+        untilId = notes[notes.length - 1].id;
+      }
+
+      if (onBatch) {
+        await onBatch(notes, hasMore ? untilId : null);
+      }
     }
+  } catch (err) {
+    // 保留已抓取的数据与续传游标，调用方可据此保存或稍后继续
+    err.notes = allNotes;
+    err.untilId = untilId;
+    throw err;
   }
 
   return allNotes;
@@ -283,3 +375,17 @@ export const getInstanceEmojis = async (instanceDomain, options = {}) => {
   return map;
 };
 
+
+/**
+ * 判断 JSON 是否为 Misskey / Sharkey「导出帖子」功能生成的文件
+ * 导出文件是帖子数组，每条包含 id、createdAt、fileIds、files、replyId、renoteId 等字段，但没有 user
+ * @param {any} data - 解析后的 JSON
+ * @returns {boolean}
+ */
+export const isMisskeyNotesExport = (data) => Array.isArray(data)
+  && data.length > 0
+  && data.every(note => note && typeof note === 'object'
+    && note.id && note.createdAt
+    && (note.fileIds === undefined || Array.isArray(note.fileIds))
+    && 'renoteId' in note
+    && !note.account);
@@ -0,0 +1,226 @@
+/**
+ * 应用内登录授权
+ * Mastodon / GoToSocial：通过 /api/v1/apps 注册应用，跳转 /oauth/authorize 授权，再用授权码交换 Token（与 gts.html 的 getAccessToken 相同）
+ * Misskey：使用 MiAuth，授权后通过 /api/miauth/{session}/check 取得 Token
+ */
+
+const APP_NAME = 'Mastodon Random Picker';
+
+// 申请的权限范围：默认只读；在嘟文上喜欢、转嘟、收藏或回复时再申请写入权限
+export const MASTODON_SCOPES = 'read';
+export const MISSKEY_PERMISSIONS = ['read:account'];
+export const MASTODON_WRITE_SCOPES = 'read write:favourites write:statuses write:bookmarks';
+export const MISSKEY_WRITE_PERMISSIONS = [...MISSKEY_PERMISSIONS, 'write:notes', 'write:reactions', 'write:favorites'];
+
+/**
+ * 权限范围是否包含互动所需的写入权限
+ * @param {string|null} scopes - 保存 Token 时记录的权限（Mastodon 以空格分隔，Misskey 以逗号分隔）
+ * @returns {boolean|null} 未记录权限（手动粘贴的 Token）时返回 null
+ */
+export const hasWriteScope = (scopes) => {
+  if (!scopes) return null;
+  const list = scopes.split(/[\s,]+/);
+  return list.includes('write') || list.some(scope => scope.startsWith('write:'));
+};
+
+// 已注册的应用凭证缓存（按实例 + 回调地址 + 权限），避免每次登录都重新注册
+const APPS_STORAGE_KEY = 'oauth_apps';
+// 进行中的授权（跳转回来后需要用到 client_secret / session），弹窗与整页跳转都能读到
+const PENDING_STORAGE_KEY = 'oauth_pending';
+
+const readJson = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    if (value === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore quota errors
+  }
+};
+
+const randomId = () => (crypto.randomUUID
+  ? crypto.randomUUID()
+  : Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join(''));
+
+/**
+ * 授权回调地址：当前页面（不含查询参数）
+ * @returns {string}
+ */
+export const getRedirectUri = () => `${window.location.origin}${window.location.pathname}`;
+
+/**
+ * 在 Mastodon / GoToSocial 实例上注册应用（结果按实例缓存）
+ * 注册时包含写入权限，只读登录与互动登录共用同一个应用
+ * @param {string} domain - 实例域名
+ * @param {string} redirectUri - 授权回调地址
+ * @returns {Promise<{client_id: string, client_secret: string}>}
+ */
+export const registerApp = async (domain, redirectUri) => {
+  const cacheKey = `${domain}|${redirectUri}|${MASTODON_WRITE_SCOPES}`;
+  const apps = readJson(APPS_STORAGE_KEY) || {};
+  if (apps[cacheKey]) return apps[cacheKey];
+
+  const params = new URLSearchParams();
+  params.append('client_name', APP_NAME);
+  params.append('redirect_uris', redirectUri);
+  params.append('scopes', MASTODON_WRITE_SCOPES);
+  params.append('website', window.location.origin);
+
+  const res = await fetch(`https://${domain}/api/v1/apps`, { method: 'POST', body: params });
+  if (!res.ok) {
+    throw new Error(`注册应用失败: ${res.status} ${res.statusText}`);
+  }
+  const data = await res.json();
+  if (!data.client_id || !data.client_secret) {
+    throw new Error('注册应用的返回数据不完整');
+  }
+
+  const app = { client_id: data.client_id, client_secret: data.client_secret };
+  apps[cacheKey] = app;
+  writeJson(APPS_STORAGE_KEY, apps);
+  return app;
+};
+
+/**
+ * 查找本页面在某实例上注册过的应用凭证（撤销 Token 时需要）
+ * @param {string} domain
+ * @param {string} [clientId] - 指定签发 Token 的应用
+ * @returns {{client_id: string, client_secret: string}|null}
+ */
+export const findRegisteredApp = (domain, clientId = null) => {
+  const apps = readJson(APPS_STORAGE_KEY) || {};
+  const match = Object.entries(apps).find(([key, app]) => key.startsWith(`${domain}|`)
+    && (!clientId || app.client_id === clientId));
+  return match ? match[1] : null;
+};
+
+/**
+ * 用授权码交换 Access Token（逻辑同 gts.html 的 getAccessToken）
+ * @param {string} domain
+ * @param {{client_id: string, client_secret: string}} app
+ * @param {string} code - 授权码
+ * @param {string} redirectUri
+ * @param {string} [scopes] - 授权时申请的权限
+ * @returns {Promise<string>} Access Token
+ */
+export const exchangeAuthorizationCode = async (domain, app, code, redirectUri, scopes = MASTODON_SCOPES) => {
+  const params = new URLSearchParams();
+  params.append('grant_type', 'authorization_code');
+  params.append('client_id', app.client_id);
+  params.append('client_secret', app.client_secret);
+  params.append('redirect_uri', redirectUri);
+  params.append('code', code);
+  params.append('scope', scopes);
+
+  const res = await fetch(`https://${domain}/oauth/token`, { method: 'POST', body: params });
+  if (!res.ok) {
+    let detail = res.statusText;
+    try {
+      const errorData = await res.json();
+      detail = errorData.error_description || errorData.error || detail;
+    } catch {
+      // 响应不是 JSON
+    }
+    throw new Error(`交换 Token 失败: ${res.status} ${detail}`);
+  }
+  const data = await res.json();
+  if (!data.access_token) {
+    throw new Error('返回数据中没有 access_token');
+  }
+  return data.access_token;
+};
+
+/**
+ * 开始授权：返回需要打开的授权页面地址，并记录进行中的授权
+ * @param {string} domain - 实例域名
+ * @param {'mastodon'|'misskey'} platform
+ * @param {Object} [options]
+ * @param {boolean} [options.write] - 同时申请互动所需的写入权限
+ * @returns {Promise<string>} 授权页面 URL
+ */
+export const startAuthorization = async (domain, platform, { write = false } = {}) => {
+  const redirectUri = getRedirectUri();
+
+  if (platform === 'misskey') {
+    const session = randomId();
+    const scopes = (write ? MISSKEY_WRITE_PERMISSIONS : MISSKEY_PERMISSIONS).join(',');
+    writeJson(PENDING_STORAGE_KEY, { domain, platform, session, redirectUri, scopes });
+    const query = new URLSearchParams({
+      name: APP_NAME,
+      callback: redirectUri,
+      permission: scopes,
+    });
+    return `https://${domain}/miauth/${session}?${query.toString()}`;
+  }
+
+  const app = await registerApp(domain, redirectUri);
+  const stateParam = randomId();
+  const scopes = write ? MASTODON_WRITE_SCOPES : MASTODON_SCOPES;
+  writeJson(PENDING_STORAGE_KEY, { domain, platform: 'mastodon', state: stateParam, redirectUri, scopes });
+  const query = new URLSearchParams({
+    response_type: 'code',
+    client_id: app.client_id,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state: stateParam,
+  });
+  return `https://${domain}/oauth/authorize?${query.toString()}`;
+};
+
+/**
+ * 从回调地址中读取授权参数
+ * @param {string} search - location.search
+ * @returns {{code?: string, state?: string, session?: string, error?: string}|null} 不是授权回调时返回 null
+ */
+export const readCallbackParams = (search) => {
+  const params = new URLSearchParams(search);
+  const result = {};
+  ['code', 'state', 'session', 'error', 'error_description'].forEach((key) => {
+    if (params.has(key)) result[key] = params.get(key);
+  });
+  if (!result.code && !result.session && !result.error) return null;
+  if (!readJson(PENDING_STORAGE_KEY)) return null;
+  return result;
+};
+
+/**
+ * 完成授权：校验回调参数并换取 Token
+ * @param {Object} params - readCallbackParams 的结果
+ * @returns {Promise<{domain: string, platform: string, token: string, clientId: string|null, scopes: string}>}
+ */
+export const completeAuthorization = async (params) => {
+  const pending = readJson(PENDING_STORAGE_KEY);
+  writeJson(PENDING_STORAGE_KEY, null);
+  if (!pending) throw new Error('没有进行中的授权，请重新登录');
+  if (params.error) throw new Error(`授权被拒绝: ${params.error_description || params.error}`);
+
+  const { domain, platform, redirectUri } = pending;
+
+  if (platform === 'misskey') {
+    if (params.session !== pending.session) throw new Error('授权会话不匹配，请重新登录');
+    const res = await fetch(`https://${domain}/api/miauth/${pending.session}/check`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    });
+    if (!res.ok) throw new Error(`MiAuth 校验失败: ${res.status} ${res.statusText}`);
+    const data = await res.json();
+    if (!data.ok || !data.token) throw new Error('MiAuth 授权未完成');
+    return { domain, platform, token: data.token, clientId: null, scopes: pending.scopes || MISSKEY_PERMISSIONS.join(',') };
+  }
+
+  if (params.state !== pending.state) throw new Error('授权状态不匹配，请重新登录');
+  if (!params.code) throw new Error('回调中没有授权码');
+  const app = await registerApp(domain, redirectUri);
+  const scopes = pending.scopes || MASTODON_SCOPES;
+  const token = await exchangeAuthorizationCode(domain, app, params.code, redirectUri, scopes);
+  return { domain, platform, token, clientId: app.client_id, scopes };
+};
@@ -0,0 +1,134 @@
+/**
+ * 平台识别与适配
+ * 通过 NodeInfo（/.well-known/nodeinfo）识别实例软件；Pleroma/Akkoma 与 GoToSocial 使用 Mastodon 兼容 API，
+ * 这里处理它们与 Mastodon 的差异，并把嘟文统一为 renderStatusCard 使用的格式。
+ */
+
+// NodeInfo 中的软件名 → 抓取平台
+const SOFTWARE_PLATFORMS = {
+  mastodon: 'mastodon',
+  hometown: 'mastodon',
+  glitchsoc: 'mastodon',
+  pleroma: 'pleroma',
+  akkoma: 'pleroma',
+  gotosocial: 'gotosocial',
+  misskey: 'misskey',
+  sharkey: 'misskey',
+  firefish: 'misskey',
+  calckey: 'misskey',
+  iceshrimp: 'misskey',
+  foundkey: 'misskey',
+  cherrypick: 'misskey',
+  meisskey: 'misskey',
+};
+
+// 使用 Mastodon 兼容 API 的平台
+const MASTODON_COMPATIBLE = ['mastodon', 'pleroma', 'gotosocial'];
+
+export const PLATFORM_LABELS = {
+  mastodon: 'Mastodon',
+  pleroma: 'Pleroma / Akkoma',
+  gotosocial: 'GoToSocial',
+  misskey: 'Misskey',
+};
+
+// 每个域名只识别一次
+const detected = new Map();
+
+/**
+ * 是否使用 Mastodon 兼容 API 抓取
+ * @param {string|null} platform
+ * @returns {boolean}
+ */
+export const isMastodonCompatible = (platform) => MASTODON_COMPATIBLE.includes(platform);
+
+/**
+ * 是否所有接口都需要 Token（GoToSocial 不允许匿名查询账户和嘟文）
+ * @param {string|null} platform
+ * @returns {boolean}
+ */
+export const requiresToken = (platform) => platform === 'gotosocial';
+
+/**
+ * 不足一页时是否仍可能有更多数据
+ * Pleroma/Akkoma 先按 limit 取出再过滤（可见性、屏蔽等），中间的页也可能不足 limit，只能以空页或 Link 头判断结束
+ * @param {string|null} platform
+ * @returns {boolean}
+ */
+export const pagesMayBeShort = (platform) => platform === 'pleroma';
+
+const fetchJson = async (url) => {
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.json();
+};
+
+/**
+ * 通过 NodeInfo 识别实例软件
+ * @param {string} domain - 实例域名
+ * @returns {Promise<{platform: string|null, software: string, version: string}|null>} 无法获取 NodeInfo 时返回 null；
+ *   platform 为 null 表示软件未知，调用方应按原方式依次尝试
+ */
+export const detectPlatform = async (domain) => {
+  if (detected.has(domain)) return detected.get(domain);
+
+  let result = null;
+  try {
+    const index = await fetchJson(`https://${domain}/.well-known/nodeinfo`);
+    // 选择最新的 schema 版本（2.1 优先于 2.0）
+    const link = (index.links || [])
+      .filter(l => l && l.href && /nodeinfo\.diaspora\.software\/ns\/schema\/2\./.test(l.rel || ''))
+      .sort((a, b) => b.rel.localeCompare(a.rel))[0];
+    if (link) {
+      const info = await fetchJson(link.href);
+      const software = (info.software?.name || '').toLowerCase();
+      result = {
+        platform: SOFTWARE_PLATFORMS[software.replace(/[^a-z]/g, '')] || null,
+        software,
+        version: info.software?.version || '',
+      };
+    }
+  } catch (e) {
+    console.warn(`NodeInfo detection failed for ${domain}:`, e);
+  }
+
+  detected.set(domain, result);
+  return result;
+};
+
+// Pleroma/Akkoma 的表情回应：[{ name, count, me, url }]，url 只有自定义表情才有
+const normalizeReactions = (reactions) => (reactions || [])
+  .filter(r => r && r.name && r.count > 0)
+  .map(r => ({ name: r.name, count: r.count, url: r.url || null }));
+
+/**
+ * 把 Mastodon 兼容 API 返回的嘟文统一为 renderStatusCard 使用的格式
+ * 补齐可能缺失的数组字段；引用嘟文统一放在 quote（Mastodon 4.4 为 quote.quoted_status，Pleroma 为 pleroma.quote），
+ * Pleroma/Akkoma 的表情回应放在 reactions
+ * @param {Object} status
+ * @param {string} platform
+ * @returns {Object}
+ */
+export const normalizeStatus = (status, platform) => {
+  if (!status) return status;
+
+  const rawQuote = status.quote?.quoted_status
+    || (status.quote && status.quote.id ? status.quote : null)
+    || status.pleroma?.quote
+    || null;
+
+  return {
+    ...status,
+    media_attachments: status.media_attachments || [],
+    mentions: status.mentions || [],
+    tags: status.tags || [],
+    emojis: status.emojis || [],
+    card: status.card || null,
+    poll: status.poll || null,
+    reblog: status.reblog ? normalizeStatus(status.reblog, platform) : null,
+    quote: rawQuote ? normalizeStatus(rawQuote, platform) : null,
+    reactions: platform === 'pleroma'
+      ? normalizeReactions(status.emoji_reactions || status.pleroma?.emoji_reactions)
+      : status.reactions || [],
+  };
+};
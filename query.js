@@ -0,0 +1,214 @@
+/**
+ * 嘟文查询引擎
+ * 随机抽取与结果列表共用同一套筛选逻辑：显示筛选（日期、回复、转嘟、私信）加上查询框中的条件；已删除的嘟文始终排除。
+ *
+ * 查询语法（空格分隔，条件之间为“且”）：
+ *   关键词 / "带空格的短语"   正文或内容警告中包含（忽略 HTML 标签与大小写）
+ *   #标签                      带有该话题标签
+ *   has:media / no:media       有 / 没有媒体附件
+ *   media:image|video|gifv|audio|unknown  含有该类型的媒体
+ *   has:cw / no:cw             有 / 没有内容警告
+ *   visibility:public|unlisted|private|direct（可简写为 vis:）
+ *   lang:zh                    语言（前缀匹配）
+ *   fav:10                     至少 10 个喜欢
+ */
+
+const textCache = new WeakMap();
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' ',
+};
+
+/**
+ * 去除 HTML 标签并解码常见实体
+ * @param {string} html
+ * @returns {string}
+ */
+export const stripHtml = (html) => {
+  if (!html) return '';
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+};
+
+// 嘟文可搜索的纯文本（正文 + 内容警告），按对象缓存
+const searchableText = (status) => {
+  let text = textCache.get(status);
+  if (text === undefined) {
+    text = `${stripHtml(status.content)}\n${status.spoiler_text || ''}`.toLowerCase();
+    textCache.set(status, text);
+  }
+  return text;
+};
+
+/**
+ * 解析查询字符串
+ * @param {string} input
+ * @returns {Object} 查询条件
+ */
+export const parseQuery = (input) => {
+  const query = {
+    terms: [],
+    tags: [],
+    hasMedia: null,
+    mediaType: null,
+    hasCw: null,
+    visibility: null,
+    language: null,
+    minFavourites: 0,
+  };
+
+  const tokens = (input || '').match(/"[^"]*"|\S+/g) || [];
+  tokens.forEach((token) => {
+    if (token.length >= 2 && token.startsWith('"') && token.endsWith('"')) {
+      const phrase = token.slice(1, -1).trim().toLowerCase();
+      if (phrase) query.terms.push(phrase);
+      return;
+    }
+
+    if (token.startsWith('#') && token.length > 1) {
+      query.tags.push(token.slice(1).toLowerCase());
+      return;
+    }
+
+    const sep = token.indexOf(':');
+    const key = sep > 0 ? token.slice(0, sep).toLowerCase() : '';
+    const value = sep > 0 ? token.slice(sep + 1).toLowerCase() : '';
+
+    if ((key === 'has' || key === 'no') && (value === 'media' || value === 'cw')) {
+      if (value === 'media') query.hasMedia = key === 'has';
+      else query.hasCw = key === 'has';
+    } else if (key === 'media' && value) {
+      query.mediaType = value;
+    } else if ((key === 'visibility' || key === 'vis') && value) {
+      query.visibility = value;
+    } else if ((key === 'lang' || key === 'language') && value) {
+      query.language = value;
+    } else if ((key === 'fav' || key === 'favs' || key === 'favourites') && value) {
+      query.minFavourites = parseInt(value.replace(/[^\d]/g, ''), 10) || 0;
+    } else {
+      query.terms.push(token.toLowerCase());
+    }
+  });
+
+  return query;
+};
+
+/**
+ * 查询条件是否为空（不做任何过滤）
+ * @param {Object} query
+ * @returns {boolean}
+ */
+export const isEmptyQuery = (query) => query.terms.length === 0
+  && query.tags.length === 0
+  && query.hasMedia === null
+  && !query.mediaType
+  && query.hasCw === null
+  && !query.visibility
+  && !query.language
+  && query.minFavourites === 0;
+
+/**
+ * 判断嘟文是否满足查询条件
+ * 转发帖子按被转发的内容匹配；可见性使用外层帖子
+ * @param {Object} status
+ * @param {Object} query - parseQuery 的结果
+ * @returns {boolean}
+ */
+export const matchesQuery = (status, query) => {
+  const target = status.reblog || status;
+
+  if (query.terms.length > 0) {
+    const text = searchableText(target);
+    if (!query.terms.every(term => text.includes(term))) return false;
+  }
+
+  if (query.tags.length > 0) {
+    const tags = (target.tags || []).map(tag => (tag.name || '').replace(/^#/, '').toLowerCase());
+    if (!query.tags.every(tag => tags.includes(tag))) return false;
+  }
+
+  const media = target.media_attachments || [];
+  if (query.hasMedia !== null && (media.length > 0) !== query.hasMedia) return false;
+  if (query.mediaType && !media.some(m => m.type === query.mediaType)) return false;
+
+  if (query.hasCw !== null && !!(target.spoiler_text && target.spoiler_text.trim()) !== query.hasCw) return false;
+
+  if (query.visibility && (status.visibility || 'public') !== query.visibility) return false;
+
+  if (query.language && !(target.language || '').toLowerCase().startsWith(query.language)) return false;
+
+  if (query.minFavourites > 0 && (target.favourites_count || 0) < query.minFavourites) return false;
+
+  return true;
+};
+
+// 私信：Mastodon 的 direct 与 Misskey 的 specified（指定用户可见）
+const isDirectMessage = (status) => status.visibility === 'direct' || status.visibility === 'specified';
+
+/**
+ * 按显示筛选和查询条件过滤嘟文
+ * @param {Array<Object>} statuses
+ * @param {Object} filter - { startDate, endDate, showReplies, showReblogs, showDirect, query }
+ * @returns {Array<Object>}
+ */
+export const filterStatuses = (statuses, filter) => {
+  // 刷新时发现已删除的嘟文保留在缓存中，但不再参与抽取和查询
+  let pool = statuses.filter(s => !s.deleted);
+
+  // 筛选：回复 (使用 in_reply_to_id 字段判断)
+  if (!filter.showReplies) {
+    pool = pool.filter(s => {
+      // 检查是否是回复：in_reply_to_id 不为 null
+      // 注意：转发帖子的回复状态应该看 reblog.in_reply_to_id
+      if (s.reblog) {
+        // 如果是转发，检查被转发的帖子是否是回复
+        return !s.reblog.in_reply_to_id;
+      }
+      return !s.in_reply_to_id;
+    });
+  }
+  // 筛选：转嘟 (reblog 不为 null)
+  if (!filter.showReblogs) {
+    pool = pool.filter(s => !s.reblog);
+  }
+
+  // 筛选：私信（未设置 showDirect 时保留，兼容旧的筛选配置）
+  if (filter.showDirect === false) {
+    pool = pool.filter(s => !isDirectMessage(s));
+  }
+
+  // 筛选：日期范围
+  // 对于转发帖子，使用被转发帖子的日期；对于普通帖子，使用原帖日期
+  if (filter.startDate) {
+    const start = new Date(filter.startDate).getTime();
+    pool = pool.filter(s => {
+      const dateToCheck = s.reblog ? s.reblog.created_at : s.created_at;
+      return new Date(dateToCheck).getTime() >= start;
+    });
+  }
+  if (filter.endDate) {
+    // 结束日期包含当天，所以加一天或设为 23:59:59
+    const end = new Date(filter.endDate).getTime() + 86400000;
+    pool = pool.filter(s => {
+      const dateToCheck = s.reblog ? s.reblog.created_at : s.created_at;
+      return new Date(dateToCheck).getTime() < end;
+    });
+  }
+
+  // 查询框条件
+  const query = parseQuery(filter.query);
+  if (!isEmptyQuery(query)) {
+    pool = pool.filter(s => matchesQuery(s, query));
+  }
+
+  return pool;
+};
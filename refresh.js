@@ -0,0 +1,101 @@
+/**
+ * 重新获取已缓存的嘟文
+ * 用于同步编辑、删除以及喜欢/转嘟计数的变化。Mastodon 4.3+ 支持 GET /api/v1/statuses?id[]= 一次获取多条，
+ * 不支持时（旧版本、Pleroma、GoToSocial）逐条请求 /api/v1/statuses/:id；Misskey 使用 notes/show。
+ * 所有请求经过 scheduledFetch，遵守速率限制并支持停止。
+ */
+
+import { scheduledFetch } from './scheduler.js';
+
+// 每批处理的嘟文数量（Mastodon 批量接口的上限）
+export const REFRESH_BATCH_SIZE = 20;
+
+// 对方明确表示不存在的状态码（Mastodon 对不可见的嘟文同样返回 404）
+const GONE_STATUSES = [404, 410];
+
+// 按实例记录是否支持批量接口
+const multiGetSupport = new Map();
+
+const readJson = async (res) => {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+};
+
+const fetchMastodonStatus = async (domain, id, headers, options) => {
+  const res = await scheduledFetch(`https://${domain}/api/v1/statuses/${encodeURIComponent(id)}`, { headers }, options);
+  if (!res) return null;
+  if (res.ok) {
+    const data = await readJson(res);
+    return data && data.id ? { data, gone: false } : { data: null, gone: false };
+  }
+  return { data: null, gone: GONE_STATUSES.includes(res.status) };
+};
+
+const fetchMisskeyNote = async (domain, id, token, options) => {
+  const body = { noteId: id };
+  if (token) body.i = token;
+  const res = await scheduledFetch(`https://${domain}/api/notes/show`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, options);
+  if (!res) return null;
+  const data = await readJson(res);
+  if (res.ok) return { data, gone: false };
+  return { data: null, gone: GONE_STATUSES.includes(res.status) || data?.error?.code === 'NO_SUCH_NOTE' };
+};
+
+/**
+ * 按 ID 重新获取一批嘟文
+ * @param {string} domain - 嘟文 ID 所属的实例
+ * @param {string} platform - 'mastodon' | 'pleroma' | 'gotosocial' | 'misskey'
+ * @param {Array<string>} ids
+ * @param {string|null} token
+ * @param {Object} [options] - scheduledFetch 的选项
+ * @returns {Promise<Map<string, {data: Object|null, gone: boolean}>|null>} 按 ID 返回结果（data 为平台原始格式）；
+ *   请求失败的 ID 不在结果中；被停止时返回 null
+ */
+export const fetchStatusesByIds = async (domain, platform, ids, token, options = {}) => {
+  const results = new Map();
+
+  if (platform === 'misskey') {
+    for (const id of ids) {
+      const result = await fetchMisskeyNote(domain, id, token, options).catch(() => undefined);
+      if (result === null) return null;
+      if (result) results.set(id, result);
+    }
+    return results;
+  }
+
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  let pending = ids;
+
+  if (multiGetSupport.get(domain) !== false && ids.length > 1) {
+    const query = ids.map(id => `id[]=${encodeURIComponent(id)}`).join('&');
+    // 重试用尽后 scheduledFetch 会抛出，此时不判断是否支持，改为逐条请求
+    const res = await scheduledFetch(`https://${domain}/api/v1/statuses?${query}`, { headers }, options)
+      .catch(() => undefined);
+    if (res === null) return null;
+    const data = res?.ok ? await readJson(res) : null;
+    if (Array.isArray(data)) {
+      multiGetSupport.set(domain, true);
+      data.forEach((status) => {
+        if (status && status.id) results.set(String(status.id), { data: status, gone: false });
+      });
+      // 批量接口直接略过已删除或不可见的嘟文，逐条确认
+      pending = ids.filter(id => !results.has(String(id)));
+    } else if (res && res.status !== 429 && res.status < 500) {
+      multiGetSupport.set(domain, false);
+    }
+  }
+
+  for (const id of pending) {
+    const result = await fetchMastodonStatus(domain, id, headers, options).catch(() => undefined);
+    if (result === null) return null;
+    if (result) results.set(String(id), result);
+  }
+  return results;
+};
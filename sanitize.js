@@ -0,0 +1,130 @@
+/**
+ * HTML 清理与转义
+ * 页面通过 innerHTML 渲染，嘟文内容、显示名称、附件描述等都来自远程实例或导入的存档，不可信；
+ * 而同一页面保存着各实例的 Access Token，因此所有外部内容都必须经过这里：
+ *   - 嘟文 HTML（Mastodon / Pleroma / GoToSocial 的 content）用 sanitizeHtml 按白名单清理
+ *   - 纯文本字段（显示名称、内容警告、附件描述等）用 escapeHtml 转义；Misskey 正文由 mfm.js 渲染，其中的文字同样经过转义
+ *   - 放进 href / src 的链接用 safeUrl 检查协议并转义
+ */
+
+// 允许保留的标签（与 Mastodon 自身的清理规则相近）
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'span', 'a', 'em', 'strong', 'b', 'i', 'u', 's', 'del', 'ins', 'sub', 'sup', 'small',
+  'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'ruby', 'rt', 'rp',
+]);
+
+// 连同内容一起删除的标签；其他不在白名单中的标签只去掉标签本身，保留文字
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template', 'noscript',
+  'svg', 'math', 'head', 'title', 'meta', 'link', 'base', 'form', 'textarea', 'select', 'button', 'input',
+]);
+
+// 各标签允许的属性（a 的 href 另外检查协议）
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title', 'class', 'translate'],
+  span: ['class', 'title', 'translate'],
+  ol: ['start', 'reversed'],
+  li: ['value'],
+};
+const GLOBAL_ATTRIBUTES = ['lang', 'dir'];
+
+// 微格式（h-card、u-url 等）与 Mastodon 使用的类名
+const ALLOWED_CLASS = /^(?:(?:h|p|u|dt|e)-[a-z0-9-]+|mention|hashtag|ellipsis|invisible|quote-inline)$/;
+
+const LINK_PROTOCOL = /^(?:https?:|mailto:)/i;
+// archive-media: 为导入的 Mastodon 存档 ZIP 中媒体的占位地址，渲染后由 app.js 的 hydrateArchiveMedia 替换为 blob URL
+const MEDIA_PROTOCOL = /^(?:https?:|blob:|data:image\/|archive-media:)/i;
+
+/**
+ * 转义纯文本，用于元素内容或属性值
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+})[char]);
+
+/**
+ * 检查链接协议并转义，用于 href / src 属性
+ * 只允许 http(s)、mailto、本地媒体使用的 blob: / data:image / archive-media: 以及页内锚点，其他（javascript: 等）返回空字符串
+ * @param {string} url
+ * @returns {string}
+ */
+export const safeUrl = (url) => {
+  const value = String(url ?? '').trim();
+  if (!value) return '';
+  if (value.startsWith('#') || LINK_PROTOCOL.test(value) || MEDIA_PROTOCOL.test(value)) {
+    return escapeHtml(value);
+  }
+  return '';
+};
+
+const cleanClassList = (value) => value
+  .split(/\s+/)
+  .filter(name => ALLOWED_CLASS.test(name))
+  .join(' ');
+
+const cleanElement = (element) => {
+  Array.from(element.childNodes).forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      child.remove();
+      return;
+    }
+    if (!ALLOWED_TAGS.has(tag)) {
+      // 图片（例如 Pleroma 内联的表情）换成替代文字，其他标签只保留内容
+      if (tag === 'img') {
+        child.replaceWith(child.getAttribute('alt') || '');
+        return;
+      }
+      cleanElement(child);
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    const allowed = [...(ALLOWED_ATTRIBUTES[tag] || []), ...GLOBAL_ATTRIBUTES];
+    Array.from(child.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      if (!allowed.includes(name)) {
+        child.removeAttribute(attr.name);
+      } else if (name === 'href' && !LINK_PROTOCOL.test(attr.value.trim())) {
+        child.removeAttribute(attr.name);
+      } else if (name === 'class') {
+        const classes = cleanClassList(attr.value);
+        if (classes) child.setAttribute('class', classes);
+        else child.removeAttribute('class');
+      }
+    });
+    if (tag === 'a') {
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'nofollow noopener noreferrer');
+    }
+
+    cleanElement(child);
+  });
+};
+
+/**
+ * 按白名单清理嘟文 HTML
+ * 在不执行脚本、不加载资源的独立文档中解析，去掉白名单以外的标签和属性
+ * @param {string} html
+ * @returns {string}
+ */
+export const sanitizeHtml = (html) => {
+  if (!html) return '';
+  if (typeof DOMParser === 'undefined') return escapeHtml(html);
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  cleanElement(doc.body);
+  return doc.body.innerHTML;
+};
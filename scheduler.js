@@ -0,0 +1,130 @@
+/**
+ * 请求调度器
+ * Mastodon 与 Misskey 共用：读取 X-RateLimit-* 响应头，额度将耗尽时等待重置；
+ * 遇到 429 / 5xx 时退避重试；网络错误（断网、超时）自动重试。
+ */
+
+// 剩余额度低于此值时，先等待额度重置再发请求
+const LOW_REMAINING = 2;
+// 单次等待上限，避免异常的 Reset 值导致无限等待
+const MAX_WAIT_MS = 15 * 60 * 1000;
+
+// 按主机记录速率限制状态：host -> { remaining, resetAt }
+const rateLimits = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 可中断的等待：每 300ms 检查一次停止信号，被停止时返回 false
+const waitFor = async (ms, shouldStop) => {
+  const end = Date.now() + Math.min(Math.max(ms, 0), MAX_WAIT_MS);
+  while (Date.now() < end) {
+    if (shouldStop()) return false;
+    await sleep(Math.min(300, end - Date.now()));
+  }
+  return !shouldStop();
+};
+
+/**
+ * 解析 Reset / Retry-After 类响应头为时间戳
+ * 支持 ISO 时间（Mastodon）、Unix 秒级时间戳和相对秒数
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+const parseResetTime = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const num = parseFloat(trimmed);
+    return num > 1e9 ? num * 1000 : Date.now() + num * 1000;
+  }
+  const parsed = Date.parse(trimmed);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const updateRateLimit = (host, headers) => {
+  const remaining = headers.get('X-RateLimit-Remaining');
+  const reset = headers.get('X-RateLimit-Reset');
+  if (remaining === null && reset === null) return;
+  rateLimits.set(host, {
+    remaining: remaining === null ? null : parseInt(remaining, 10),
+    resetAt: parseResetTime(reset),
+  });
+};
+
+// 指数退避（带随机抖动）：1s, 2s, 4s, 8s ... 最多 60s
+const backoffDelay = (attempt, baseDelay) => {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), 60000);
+  return delay + Math.random() * 250;
+};
+
+// 429/5xx 的等待时间：优先 Retry-After，其次 X-RateLimit-Reset，最后指数退避
+const retryDelay = (res, attempt, baseDelay) => {
+  const retryAt = parseResetTime(res.headers.get('Retry-After'))
+    || (res.status === 429 ? parseResetTime(res.headers.get('X-RateLimit-Reset')) : null);
+  if (retryAt && retryAt > Date.now()) return retryAt - Date.now() + 500;
+  return backoffDelay(attempt, baseDelay);
+};
+
+/**
+ * 带速率限制与重试的 fetch
+ * 返回值与 fetch 相同；401/403/404 等不可重试的响应原样返回，交给调用方处理
+ * @param {string} url
+ * @param {Object} [init] - fetch 的第二个参数
+ * @param {Object} [options]
+ * @param {Function} [options.shouldStop] - 返回 true 时放弃等待/重试
+ * @param {Function} [options.onWait] - 需要等待时回调 (delayMs, reason)，reason 为 'rate-limit' | 'server-error' | 'network'
+ * @param {number} [options.maxRetries] - 最多重试次数（默认 5）
+ * @param {number} [options.baseDelay] - 退避基准毫秒数（默认 1000）
+ * @returns {Promise<Response|null>} 被停止时返回 null
+ */
+export const scheduledFetch = async (url, init = {}, options = {}) => {
+  const {
+    shouldStop = () => false,
+    onWait = null,
+    maxRetries = 5,
+    baseDelay = 1000,
+  } = options;
+
+  const host = new URL(url).host;
+  let attempt = 0;
+
+  while (true) {
+    if (shouldStop()) return null;
+
+    // 额度即将耗尽：等到重置时间再继续
+    const limit = rateLimits.get(host);
+    if (limit && limit.remaining !== null && limit.remaining <= LOW_REMAINING && limit.resetAt && limit.resetAt > Date.now()) {
+      const delay = limit.resetAt - Date.now() + 500;
+      if (onWait) onWait(delay, 'rate-limit');
+      if (!(await waitFor(delay, shouldStop))) return null;
+      rateLimits.delete(host);
+    }
+
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      // 网络错误（断网、DNS、CORS 预检失败等）：退避后重试
+      if (attempt >= maxRetries) {
+        throw new Error(`网络请求失败（已重试 ${maxRetries} 次）: ${err.message}`);
+      }
+      attempt++;
+      const delay = backoffDelay(attempt, baseDelay);
+      if (onWait) onWait(delay, 'network');
+      if (!(await waitFor(delay, shouldStop))) return null;
+      continue;
+    }
+
+    updateRateLimit(host, res.headers);
+
+    if ((res.status === 429 || res.status >= 500) && attempt < maxRetries) {
+      attempt++;
+      const delay = retryDelay(res, attempt, baseDelay);
+      if (onWait) onWait(delay, res.status === 429 ? 'rate-limit' : 'server-error');
+      if (!(await waitFor(delay, shouldStop))) return null;
+      continue;
+    }
+
+    return res;
+  }
+};
@@ -0,0 +1,490 @@
+/**
+ * IndexedDB 本地存储层
+ * 按账户保存嘟文、账户信息、Misskey 表情映射、已读记录和复习记录，
+ * 嘟文逐条存储，避免 localStorage 的容量限制。
+ */
+
+const DB_NAME = 'mastodon-random-picker';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务已中止'));
+});
+
+// 账户 ID 统一按字符串存储（Mastodon/Misskey/存档导入的 ID 类型不一致）
+const normalizeId = (accountId) => String(accountId);
+
+/**
+ * 打开（必要时创建）数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前浏览器不支持 IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // 账户元数据：{ id, account, platform, pickStrategy, sensitiveMedia, minSeq, maxSeq, statusCount, lastFetchedAt, lastOpenedAt, updatedAt }
+      if (!db.objectStoreNames.contains('accounts')) {
+        db.createObjectStore('accounts', { keyPath: 'id' });
+      }
+      // 嘟文：{ accountId, id, seq, status }，seq 决定列表顺序
+      if (!db.objectStoreNames.contains('statuses')) {
+        const statuses = db.createObjectStore('statuses', { keyPath: ['accountId', 'id'] });
+        statuses.createIndex('byAccount', 'accountId');
+        statuses.createIndex('bySeq', ['accountId', 'seq']);
+      }
+      // Misskey 表情映射：{ accountId, emojis }
+      if (!db.objectStoreNames.contains('emojis')) {
+        db.createObjectStore('emojis', { keyPath: 'accountId' });
+      }
+      // 已读记录：{ accountId, ids }
+      if (!db.objectStoreNames.contains('history')) {
+        db.createObjectStore('history', { keyPath: 'accountId' });
+      }
+      // 间隔重温的复习记录：{ accountId, reviews: { statusId: { lastSeenAt, interval, count } } }
+      if (!db.objectStoreNames.contains('reviews')) {
+        db.createObjectStore('reviews', { keyPath: 'accountId' });
+      }
+      // 远程获取的嘟文（补全存档中的转嘟等），按 URI 共享：{ uri, status, gone, fetchedAt }
+      if (!db.objectStoreNames.contains('remoteStatuses')) {
+        db.createObjectStore('remoteStatuses', { keyPath: 'uri' });
+      }
+      // 嘟文的上下文（上文与回复），按 实例:嘟文ID 缓存：{ key, ancestors, descendants, fetchedAt }
+      if (!db.objectStoreNames.contains('threads')) {
+        db.createObjectStore('threads', { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * 列出所有已缓存的账户元数据
+ * @returns {Promise<Array<Object>>}
+ */
+export const listCachedAccounts = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction('accounts', 'readonly');
+  return requestToPromise(tx.objectStore('accounts').getAll());
+};
+
+/**
+ * 读取单个账户的元数据
+ * @param {string} accountId
+ * @returns {Promise<Object|null>}
+ */
+export const getCachedAccount = async (accountId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('accounts', 'readonly');
+  const meta = await requestToPromise(tx.objectStore('accounts').get(normalizeId(accountId)));
+  return meta || null;
+};
+
+/**
+ * 合并写入账户元数据（未提供的字段保持原值）
+ * @param {string} accountId
+ * @param {Object} fields - 例如 { account, platform, lastFetchedAt }
+ * @returns {Promise<Object>} 写入后的元数据
+ */
+export const saveCachedAccount = async (accountId, fields = {}) => {
+  const db = await openDatabase();
+  const tx = db.transaction('accounts', 'readwrite');
+  const store = tx.objectStore('accounts');
+  const id = normalizeId(accountId);
+  const existing = await requestToPromise(store.get(id));
+  const meta = {
+    minSeq: 0,
+    maxSeq: -1,
+    statusCount: 0,
+    ...existing,
+    ...fields,
+    id,
+    updatedAt: new Date().toISOString(),
+  };
+  store.put(meta);
+  await transactionDone(tx);
+  return meta;
+};
+
+/**
+ * 逐条写入嘟文，追加到列表末尾或插入到列表开头
+ * 已存在的同 ID 嘟文会被覆盖（并移动到新位置）
+ * @param {string} accountId
+ * @param {Array<Object>} statuses - 按显示顺序排列（最新的在前）
+ * @param {Object} [options]
+ * @param {boolean} [options.prepend] - 是否插入到开头（抓取更新时使用）
+ * @returns {Promise<number>} 写入后该账户的嘟文总数
+ */
+export const appendStatuses = async (accountId, statuses, options = {}) => {
+  const { prepend = false } = options;
+  const id = normalizeId(accountId);
+  const db = await openDatabase();
+  const tx = db.transaction(['accounts', 'statuses'], 'readwrite');
+  const accounts = tx.objectStore('accounts');
+  const store = tx.objectStore('statuses');
+
+  const meta = (await requestToPromise(accounts.get(id))) || { id, minSeq: 0, maxSeq: -1, statusCount: 0 };
+  const list = (statuses || []).filter(s => s && s.id !== undefined && s.id !== null);
+
+  list.forEach((status, idx) => {
+    const seq = prepend ? meta.minSeq - list.length + idx : meta.maxSeq + 1 + idx;
+    store.put({ accountId: id, id: status.id, seq, status });
+  });
+
+  if (list.length > 0) {
+    if (prepend) meta.minSeq -= list.length;
+    else meta.maxSeq += list.length;
+  }
+
+  meta.statusCount = await requestToPromise(store.index('byAccount').count(id));
+  meta.updatedAt = new Date().toISOString();
+  accounts.put(meta);
+
+  await transactionDone(tx);
+  return meta.statusCount;
+};
+
+/**
+ * 更新单条已缓存的嘟文（保持原有位置）
+ * @param {string} accountId
+ * @param {Object} status
+ * @returns {Promise<boolean>} 是否找到并更新
+ */
+export const putStatus = async (accountId, status) => {
+  const id = normalizeId(accountId);
+  const db = await openDatabase();
+  const tx = db.transaction('statuses', 'readwrite');
+  const store = tx.objectStore('statuses');
+  const record = await requestToPromise(store.get([id, status.id]));
+  if (record) {
+    store.put({ ...record, status });
+  }
+  await transactionDone(tx);
+  return !!record;
+};
+
+/**
+ * 批量更新已缓存的嘟文（保持原有位置，未缓存的嘟文忽略）
+ * @param {string} accountId
+ * @param {Array<Object>} statuses
+ * @returns {Promise<void>}
+ */
+export const putStatuses = async (accountId, statuses) => {
+  const id = normalizeId(accountId);
+  const db = await openDatabase();
+  const tx = db.transaction('statuses', 'readwrite');
+  const store = tx.objectStore('statuses');
+  await Promise.all(statuses.map(async (status) => {
+    const record = await requestToPromise(store.get([id, status.id]));
+    if (record) store.put({ ...record, status });
+  }));
+  await transactionDone(tx);
+};
+
+/**
+ * 删除某账户的所有嘟文记录（保留账户元数据）
+ * @param {string} accountId
+ * @returns {Promise<void>}
+ */
+export const clearStatuses = async (accountId) => {
+  const id = normalizeId(accountId);
+  const db = await openDatabase();
+  const tx = db.transaction(['accounts', 'statuses'], 'readwrite');
+  const accounts = tx.objectStore('accounts');
+  const store = tx.objectStore('statuses');
+
+  store.delete(IDBKeyRange.bound([id, -Infinity], [id, []]));
+
+  const meta = await requestToPromise(accounts.get(id));
+  if (meta) {
+    accounts.put({ ...meta, minSeq: 0, maxSeq: -1, statusCount: 0, updatedAt: new Date().toISOString() });
+  }
+
+  await transactionDone(tx);
+};
+
+/**
+ * 用新列表整体替换某账户的嘟文
+ * @param {string} accountId
+ * @param {Array<Object>} statuses
+ * @returns {Promise<number>} 写入后的嘟文总数
+ */
+export const replaceStatuses = async (accountId, statuses) => {
+  await clearStatuses(accountId);
+  return appendStatuses(accountId, statuses);
+};
+
+/**
+ * 按列表顺序逐条遍历某账户的嘟文
+ * @param {string} accountId
+ * @param {Function} onStatus - 每条嘟文的回调 (status, index)
+ * @returns {Promise<number>} 遍历的条数
+ */
+export const iterateStatuses = async (accountId, onStatus) => {
+  const id = normalizeId(accountId);
+  const db = await openDatabase();
+  const tx = db.transaction('statuses', 'readonly');
+  const index = tx.objectStore('statuses').index('bySeq');
+  const range = IDBKeyRange.bound([id, -Infinity], [id, Infinity]);
+
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    const request = index.openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(count);
+        return;
+      }
+      onStatus(cursor.value.status, count);
+      count++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * 读取某账户的全部嘟文（按列表顺序）
+ * @param {string} accountId
+ * @returns {Promise<Array<Object>>}
+ */
+export const loadStatuses = async (accountId) => {
+  const statuses = [];
+  await iterateStatuses(accountId, (status) => {
+    statuses.push(status);
+  });
+  return statuses;
+};
+
+/**
+ * 读取 Misskey 表情映射
+ * @param {string} accountId
+ * @returns {Promise<Object>}
+ */
+export const loadEmojis = async (accountId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('emojis', 'readonly');
+  const record = await requestToPromise(tx.objectStore('emojis').get(normalizeId(accountId)));
+  return record?.emojis || {};
+};
+
+/**
+ * 保存 Misskey 表情映射
+ * @param {string} accountId
+ * @param {Object} emojis
+ * @returns {Promise<void>}
+ */
+export const saveEmojis = async (accountId, emojis) => {
+  const db = await openDatabase();
+  const tx = db.transaction('emojis', 'readwrite');
+  tx.objectStore('emojis').put({ accountId: normalizeId(accountId), emojis: emojis || {} });
+  await transactionDone(tx);
+};
+
+/**
+ * 读取已读记录
+ * @param {string} accountId
+ * @returns {Promise<Set>}
+ */
+export const loadViewedIds = async (accountId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('history', 'readonly');
+  const record = await requestToPromise(tx.objectStore('history').get(normalizeId(accountId)));
+  return new Set(record?.ids || []);
+};
+
+/**
+ * 保存已读记录
+ * @param {string} accountId
+ * @param {Set|Array} ids
+ * @returns {Promise<void>}
+ */
+export const saveViewedIds = async (accountId, ids) => {
+  const db = await openDatabase();
+  const tx = db.transaction('history', 'readwrite');
+  tx.objectStore('history').put({ accountId: normalizeId(accountId), ids: Array.from(ids || []) });
+  await transactionDone(tx);
+};
+
+/**
+ * 读取复习记录
+ * @param {string} accountId
+ * @returns {Promise<Object>}
+ */
+export const loadReviews = async (accountId) => {
+  const db = await openDatabase();
+  const tx = db.transaction('reviews', 'readonly');
+  const record = await requestToPromise(tx.objectStore('reviews').get(normalizeId(accountId)));
+  return record?.reviews || {};
+};
+
+/**
+ * 保存复习记录
+ * @param {string} accountId
+ * @param {Object} reviews
+ * @returns {Promise<void>}
+ */
+export const saveReviews = async (accountId, reviews) => {
+  const db = await openDatabase();
+  const tx = db.transaction('reviews', 'readwrite');
+  tx.objectStore('reviews').put({ accountId: normalizeId(accountId), reviews: reviews || {} });
+  await transactionDone(tx);
+};
+
+/**
+ * 批量读取已缓存的远程嘟文
+ * @param {Array<string>} uris
+ * @returns {Promise<Map>} uri -> { uri, status, gone, fetchedAt }，未缓存的不包含在内
+ */
+export const loadRemoteStatuses = async (uris) => {
+  const db = await openDatabase();
+  const tx = db.transaction('remoteStatuses', 'readonly');
+  const store = tx.objectStore('remoteStatuses');
+  const records = await Promise.all(uris.map(uri => requestToPromise(store.get(uri))));
+  return new Map(records.filter(Boolean).map(record => [record.uri, record]));
+};
+
+/**
+ * 保存远程嘟文；gone 表示对方已删除或无法访问，避免重复请求
+ * @param {string} uri
+ * @param {Object|null} status
+ * @param {boolean} [gone]
+ * @returns {Promise<void>}
+ */
+export const saveRemoteStatus = async (uri, status, gone = false) => {
+  const db = await openDatabase();
+  const tx = db.transaction('remoteStatuses', 'readwrite');
+  tx.objectStore('remoteStatuses').put({ uri, status, gone, fetchedAt: new Date().toISOString() });
+  await transactionDone(tx);
+};
+
+/**
+ * 读取缓存的嘟文上下文
+ * @param {string} key - 实例:嘟文ID
+ * @returns {Promise<{key: string, ancestors: Array<Object>, descendants: Array<Object>, fetchedAt: string}|null>}
+ */
+export const loadThread = async (key) => {
+  const db = await openDatabase();
+  const tx = db.transaction('threads', 'readonly');
+  return (await requestToPromise(tx.objectStore('threads').get(key))) || null;
+};
+
+/**
+ * 保存嘟文上下文
+ * @param {string} key - 实例:嘟文ID
+ * @param {{ancestors: Array<Object>, descendants: Array<Object>}} thread
+ * @returns {Promise<void>}
+ */
+export const saveThread = async (key, { ancestors, descendants }) => {
+  const db = await openDatabase();
+  const tx = db.transaction('threads', 'readwrite');
+  tx.objectStore('threads').put({ key, ancestors, descendants, fetchedAt: new Date().toISOString() });
+  await transactionDone(tx);
+};
+
+/**
+ * 删除某账户的全部缓存（元数据、嘟文、表情、已读和复习记录）
+ * @param {string} accountId
+ * @returns {Promise<void>}
+ */
+export const deleteCachedAccount = async (accountId) => {
+  const id = normalizeId(accountId);
+  await clearStatuses(id);
+  const db = await openDatabase();
+  const tx = db.transaction(['accounts', 'emojis', 'history', 'reviews'], 'readwrite');
+  tx.objectStore('accounts').delete(id);
+  tx.objectStore('emojis').delete(id);
+  tx.objectStore('history').delete(id);
+  tx.objectStore('reviews').delete(id);
+  await transactionDone(tx);
+};
+
+/**
+ * 将旧版 localStorage 中的缓存（cached_data_* / seen_statuses_*）迁移到 IndexedDB
+ * 迁移成功的条目会从 localStorage 中移除
+ * @returns {Promise<number>} 迁移的条目数
+ */
+export const migrateLocalStorage = async () => {
+  if (typeof localStorage === 'undefined') return 0;
+
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && (key.startsWith('cached_data_') || key.startsWith('seen_statuses_'))) {
+      keys.push(key);
+    }
+  }
+
+  let migrated = 0;
+  for (const key of keys) {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key));
+
+      if (key.startsWith('seen_statuses_')) {
+        const accountId = key.replace('seen_statuses_', '');
+        if (Array.isArray(parsed)) {
+          await saveViewedIds(accountId, parsed);
+        }
+      } else {
+        const accountId = key.replace('cached_data_', '');
+        let account = null;
+        let statuses = [];
+        let misskeyEmojis = {};
+        let platform = null;
+
+        if (Array.isArray(parsed)) {
+          // 旧格式：仅存储 statuses 数组
+          statuses = parsed;
+          account = statuses[0]?.account || null;
+        } else if (parsed && Array.isArray(parsed.statuses)) {
+          // 新格式：包含 account、statuses、misskeyEmojis
+          statuses = parsed.statuses;
+          account = parsed.account || (statuses[0]?.account ?? null);
+          misskeyEmojis = parsed.misskeyEmojis || {};
+          platform = parsed.platform || null;
+        }
+
+        if (account && statuses.length > 0) {
+          await replaceStatuses(accountId, statuses);
+          await saveEmojis(accountId, misskeyEmojis);
+          await saveCachedAccount(accountId, {
+            account,
+            platform: platform || (Object.keys(misskeyEmojis).length > 0 ? 'misskey' : 'mastodon'),
+          });
+        }
+      }
+
+      localStorage.removeItem(key);
+      migrated++;
+    } catch (e) {
+      console.warn(`Failed to migrate ${key} to IndexedDB:`, e);
+    }
+  }
+
+  return migrated;
+};
@@ -0,0 +1,162 @@
+/**
+ * 随机抽取策略
+ * 每种策略分两步：先从筛选后的嘟文中得出候选列表，再从候选中选出一条。
+ * 混合随机池会对每个账户分别计算候选，再按账户权重选择。
+ */
+
+const DAY_MS = 86400000;
+
+// 间隔重温的复习间隔（天），超出后按最后一档的 2 倍递增
+const REVIEW_INTERVALS = [1, 3, 7, 14, 30, 60, 120];
+
+export const PICK_STRATEGIES = [
+  { id: 'uniform', label: '完全随机' },
+  { id: 'popular', label: '按点赞/转发加权' },
+  { id: 'older', label: '偏向较早的嘟文' },
+  { id: 'newer', label: '偏向较新的嘟文' },
+  { id: 'on_this_day', label: '那年今日' },
+  { id: 'spaced', label: '间隔重温（看过的会定期回来）' },
+];
+
+export const DEFAULT_STRATEGY = 'uniform';
+
+/**
+ * 判断策略 ID 是否有效
+ * @param {string} strategyId
+ * @returns {boolean}
+ */
+export const isValidStrategy = (strategyId) => PICK_STRATEGIES.some(s => s.id === strategyId);
+
+// 转发帖子使用被转发帖子的日期，与显示筛选保持一致
+const statusTime = (status) => new Date(status.reblog ? status.reblog.created_at : status.created_at).getTime();
+
+const statusCounts = (status) => {
+  const target = status.reblog || status;
+  return (target.favourites_count || 0) + (target.reblogs_count || 0);
+};
+
+/**
+ * 按权重随机选择一项
+ * @param {Array} items
+ * @param {Array<number>} weights - 与 items 一一对应的非负权重
+ * @returns {*} 选中的项
+ */
+export const weightedChoice = (items, weights) => {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return items[Math.floor(Math.random() * items.length)];
+  let roll = Math.random() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+};
+
+// 按时间排序后的名次作为权重（越偏向的一端权重越大）
+const rankWeights = (statuses, preferOlder) => {
+  const order = statuses
+    .map((status, idx) => ({ idx, time: statusTime(status) }))
+    .sort((a, b) => (preferOlder ? b.time - a.time : a.time - b.time));
+  const weights = new Array(statuses.length);
+  order.forEach((entry, rank) => {
+    weights[entry.idx] = rank + 1;
+  });
+  return weights;
+};
+
+const isOnThisDay = (status, now) => {
+  const date = new Date(statusTime(status));
+  const today = new Date(now);
+  return date.getFullYear() < today.getFullYear()
+    && date.getMonth() === today.getMonth()
+    && date.getDate() === today.getDate();
+};
+
+// 已看过的嘟文是否到了重温时间；没有复习记录的旧已读记录视为已到期
+const isDue = (status, reviews, now) => {
+  const review = reviews[status.id];
+  if (!review) return true;
+  return review.lastSeenAt + review.interval * DAY_MS <= now;
+};
+
+/**
+ * 计算某策略下的候选嘟文
+ * @param {string} strategyId
+ * @param {Array<Object>} pool - 经过显示筛选的嘟文
+ * @param {Object} context
+ * @param {Set} context.viewedIds - 已读嘟文 ID
+ * @param {Object} [context.reviews] - 复习记录 { statusId: { lastSeenAt, interval, count } }
+ * @param {number} [context.now] - 当前时间戳
+ * @returns {Array<Object>} 候选嘟文
+ */
+export const getStrategyCandidates = (strategyId, pool, context) => {
+  const { viewedIds, reviews = {}, now = Date.now() } = context;
+
+  switch (strategyId) {
+    case 'on_this_day':
+      return pool.filter(s => !viewedIds.has(s.id) && isOnThisDay(s, now));
+    case 'spaced':
+      return pool.filter(s => !viewedIds.has(s.id) || isDue(s, reviews, now));
+    default:
+      return pool.filter(s => !viewedIds.has(s.id));
+  }
+};
+
+/**
+ * 从候选嘟文中按策略选出一条
+ * @param {string} strategyId
+ * @param {Array<Object>} candidates - getStrategyCandidates 的结果（非空）
+ * @param {Object} context - 同 getStrategyCandidates
+ * @returns {Object} 选中的嘟文
+ */
+export const chooseWithStrategy = (strategyId, candidates, context) => {
+  switch (strategyId) {
+    case 'popular':
+      return weightedChoice(candidates, candidates.map(s => 1 + statusCounts(s)));
+    case 'older':
+      return weightedChoice(candidates, rankWeights(candidates, true));
+    case 'newer':
+      return weightedChoice(candidates, rankWeights(candidates, false));
+    case 'spaced': {
+      // 到期重温与未读新嘟文各占一半机会，避免其中一类长期霸占
+      const due = candidates.filter(s => context.viewedIds.has(s.id));
+      const fresh = candidates.filter(s => !context.viewedIds.has(s.id));
+      const group = due.length === 0 ? fresh : fresh.length === 0 ? due : (Math.random() < 0.5 ? due : fresh);
+      return group[Math.floor(Math.random() * group.length)];
+    }
+    default:
+      return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+};
+
+/**
+ * 记录一次查看，返回新的复习记录（间隔逐次增长）
+ * @param {Object} [review] - 原复习记录
+ * @param {number} [now] - 当前时间戳
+ * @returns {{lastSeenAt: number, interval: number, count: number}}
+ */
+export const nextReview = (review, now = Date.now()) => {
+  const count = (review?.count || 0) + 1;
+  const lastInterval = REVIEW_INTERVALS[REVIEW_INTERVALS.length - 1];
+  const interval = count <= REVIEW_INTERVALS.length
+    ? REVIEW_INTERVALS[count - 1]
+    : lastInterval * 2 ** (count - REVIEW_INTERVALS.length);
+  return { lastSeenAt: now, interval, count };
+};
+
+/**
+ * 计算下一条嘟文到期重温的时间
+ * @param {Array<Object>} pool
+ * @param {Object} reviews
+ * @returns {number|null} 时间戳，没有复习记录时返回 null
+ */
+export const getNextReviewAt = (pool, reviews = {}) => {
+  let next = null;
+  pool.forEach((status) => {
+    const review = reviews[status.id];
+    if (!review) return;
+    const dueAt = review.lastSeenAt + review.interval * DAY_MS;
+    if (next === null || dueAt < next) next = dueAt;
+  });
+  return next;
+};
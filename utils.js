@@ -27,6 +27,22 @@ export const parseMastodonUrl = (inputUrl) => {
   }
 };
 
+// Parse an HTTP Link header (RFC 8288) into { rel: url }
+// e.g. '<https://host/api?max_id=1>; rel="next", <https://host/api?min_id=2>; rel="prev"'
+export const parseLinkHeader = (header) => {
+  const links = {};
+  if (!header) return links;
+  header.split(',').forEach((part) => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      match[2].split(/\s+/).forEach((rel) => {
+        links[rel] = match[1];
+      });
+    }
+  });
+  return links;
+};
+
 export const formatDate = (dateString) => {
   const date = new Date(dateString);
   return new Intl.DateTimeFormat('zh-CN', {
@@ -38,8 +54,31 @@ export const formatDate = (dateString) => {
   }).format(date);
 };
 
+// 根据 MIME 类型判断附件类型（与 Mastodon API 的 media_attachments[].type 一致）
+export const getMediaTypeFromMime = (mimeType) => {
+  if (!mimeType) return 'unknown';
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'unknown';
+};
+
+// 音视频时长：秒 → m:ss 或 h:mm:ss
+export const formatDuration = (seconds) => {
+  const total = Math.round(Number(seconds));
+  if (!Number.isFinite(total) || total <= 0) return '';
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
 export const downloadJson = (data, filename) => {
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+};
+
+export const downloadBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -0,0 +1,142 @@
+/**
+ * 账户输入解析
+ * 输入框除了主页链接，还接受 @user@host / user@host、acct: URI、从其他实例看到的远程主页（host/@user@otherhost）和嘟文链接。
+ * 这些格式都通过 WebFinger 解析到账户所在的实例，再交给 Mastodon / Misskey 的抓取逻辑。
+ */
+
+import { fetchActivityPubObject } from './activitypub.js';
+
+const HANDLE_PATTERN = /^@?([^@\s/]+)@([^@\s/]+\.[^@\s/]+)$/;
+
+// 补全协议：用户经常从聊天中复制不带 https:// 的链接
+const toUrl = (input) => {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 解析输入框内容（不发请求）
+ * @param {string} input
+ * @returns {{type: 'handle', username: string, host: string, explicit: boolean}|{type: 'object', url: string}|null}
+ *   handle：已知用户名与实例（explicit 表示输入中明确写了 @user@host，需要 WebFinger 确认账户所在实例）；
+ *   object：无法从链接看出作者（例如 Misskey 的 /notes/xxx），需要请求 ActivityPub 对象
+ */
+export const parseAccountInput = (input) => {
+  const text = (input || '').trim().replace(/^acct:/i, '');
+  if (!text) return null;
+
+  const handle = text.match(HANDLE_PATTERN);
+  if (handle) return { type: 'handle', username: handle[1], host: handle[2].toLowerCase(), explicit: true };
+
+  const url = toUrl(text);
+  if (!url || !url.hostname.includes('.')) return null;
+  const host = url.hostname.toLowerCase();
+  // 路径中有无效的百分号编码时 decodeURIComponent 会抛出 URIError，视为无法识别
+  let parts;
+  try {
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+
+  // https://host/@user、https://host/@user/123（嘟文）、https://host/@user@otherhost（远程账户）
+  if (parts.length >= 1 && parts[0].startsWith('@')) {
+    const [username, remoteHost] = parts[0].slice(1).split('@');
+    if (!username) return null;
+    return remoteHost
+      ? { type: 'handle', username, host: remoteHost.toLowerCase(), explicit: true }
+      : { type: 'handle', username, host, explicit: false };
+  }
+
+  // https://host/users/user、https://host/users/user/statuses/123
+  if (parts.length >= 2 && parts[0] === 'users' && !/^[0-9a-z]{10,}$/.test(parts[1])) {
+    return { type: 'handle', username: parts[1], host, explicit: false };
+  }
+
+  // 其他链接（Misskey /notes/xxx、/users/<id>，Pleroma /objects/xxx、/notice/xxx 等）
+  if (parts.length >= 2) return { type: 'object', url: url.toString() };
+
+  return null;
+};
+
+/**
+ * WebFinger 查询
+ * @param {string} username
+ * @param {string} host
+ * @returns {Promise<{username: string, domain: string, actorUrl: string|null}>} domain 为账户地址中的域名（可能与网站域名不同）
+ */
+export const webfinger = async (username, host) => {
+  const resource = `acct:${username}@${host}`;
+  const res = await fetch(`https://${host}/.well-known/webfinger?resource=${encodeURIComponent(resource)}`, {
+    headers: { Accept: 'application/jrd+json, application/json' },
+  });
+  if (!res.ok) {
+    throw new Error(`WebFinger 查询失败: ${res.status} ${res.statusText}`);
+  }
+  const data = await res.json();
+  const subject = (data.subject || resource).replace(/^acct:/i, '');
+  const [subjectUser, subjectDomain] = subject.split('@');
+  const self = (data.links || []).find(link => link.rel === 'self'
+    && /activity\+json|ld\+json/.test(link.type || ''));
+  return {
+    username: subjectUser || username,
+    domain: subjectDomain || host,
+    actorUrl: self?.href || null,
+  };
+};
+
+// 通过嘟文（或其他对象）的 ActivityPub JSON 找到作者
+const resolveObjectAuthor = async (url) => {
+  const object = await fetchActivityPubObject(url, { maxRetries: 1 });
+  let data = object?.data;
+  if (!data) throw new Error('无法识别该链接，请输入账户主页链接或 @用户名@实例');
+
+  // 链接本身就是账户（例如 Misskey 的 /users/<id>）
+  if (!data.attributedTo && data.preferredUsername) {
+    return { username: data.preferredUsername, host: new URL(data.id || url).hostname };
+  }
+
+  const attributedTo = [].concat(data.attributedTo || data.actor || [])[0];
+  const actorUrl = typeof attributedTo === 'string' ? attributedTo : attributedTo?.id;
+  if (!actorUrl) throw new Error('无法从该链接找到作者');
+  const actor = await fetchActivityPubObject(actorUrl, { maxRetries: 1 });
+  data = actor?.data;
+  if (!data?.preferredUsername) throw new Error('无法获取作者信息');
+  return { username: data.preferredUsername, host: new URL(actorUrl).hostname };
+};
+
+/**
+ * 把输入框内容解析为账户所在实例上的主页链接
+ * @param {string} input
+ * @returns {Promise<{username: string, domain: string, acct: string, profileUrl: string}>}
+ *   domain 为提供 API 的实例域名，profileUrl 形如 https://domain/@username，可直接用于 parseMastodonUrl / parseMisskeyUrl
+ */
+export const resolveAccountInput = async (input) => {
+  const parsed = parseAccountInput(input);
+  if (!parsed) {
+    throw new Error('无法识别输入内容，请输入主页链接、嘟文链接或 @用户名@实例');
+  }
+
+  let { username, host } = parsed.type === 'object' ? await resolveObjectAuthor(parsed.url) : parsed;
+  let acct = `${username}@${host}`;
+  let domain = host;
+
+  try {
+    const finger = await webfinger(username, host);
+    username = finger.username;
+    acct = `${finger.username}@${finger.domain}`;
+    // API 位于 actor 所在的主机（账户地址可以是 example.com，实际服务在 social.example.com）
+    domain = finger.actorUrl ? new URL(finger.actorUrl).hostname : finger.domain;
+  } catch (e) {
+    // 明确的 @user@host 必须确认所在实例；普通主页链接的主机就是账户所在实例，查询失败时直接使用
+    if (parsed.type === 'handle' && parsed.explicit) {
+      throw new Error(`无法解析账户 @${acct}：${e.message}`);
+    }
+    console.warn('WebFinger lookup failed, using link host:', e);
+  }
+
+  return { username, domain, acct, profileUrl: `https://${domain}/@${username}` };
+};
@@ -0,0 +1,173 @@
+/**
+ * 浏览器端 ZIP 读取（只读）
+ * 通过 File.slice 按需读取中央目录和单个文件，不会把整个压缩包读入内存；支持 ZIP64（超过 4GB 的存档）。
+ * 压缩存储（deflate）的文件使用 DecompressionStream 流式解压，未压缩（stored）的文件直接切片。
+ */
+
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const SIG_ZIP64_EOCD = 0x06064b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  json: 'application/json',
+};
+
+const readBytes = async (file, start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+const getUint64 = (view, offset) => view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+
+/**
+ * 按扩展名猜测 MIME 类型
+ * @param {string} name
+ * @returns {string}
+ */
+export const guessMimeType = (name) => MIME_TYPES[(name.split('.').pop() || '').toLowerCase()] || 'application/octet-stream';
+
+// 定位中央目录：末尾的 EOCD 记录（后面最多跟 65535 字节注释），必要时读取 ZIP64 记录
+const locateCentralDirectory = async (file) => {
+  const tailStart = Math.max(0, file.size - 65557);
+  const tail = await readBytes(file, tailStart, file.size);
+  const view = new DataView(tail.buffer);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === SIG_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('不是有效的 ZIP 文件');
+
+  let count = view.getUint16(eocd + 10, true);
+  let size = view.getUint32(eocd + 12, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  const locator = eocd - 20;
+  if ((count === 0xffff || size === 0xffffffff || offset === 0xffffffff)
+    && locator >= 0 && view.getUint32(locator, true) === SIG_ZIP64_LOCATOR) {
+    const zip64Offset = getUint64(view, locator + 8);
+    const record = await readBytes(file, zip64Offset, zip64Offset + 56);
+    const view64 = new DataView(record.buffer);
+    if (view64.getUint32(0, true) !== SIG_ZIP64_EOCD) throw new Error('ZIP64 目录记录损坏');
+    count = getUint64(view64, 32);
+    size = getUint64(view64, 40);
+    offset = getUint64(view64, 48);
+  }
+
+  return { count, size, offset };
+};
+
+// 从 ZIP64 扩展字段中读取被标记为 0xFFFFFFFF 的大小/偏移
+const applyZip64Extra = (view, start, length, entry) => {
+  let pos = start;
+  const end = start + length;
+  while (pos + 4 <= end) {
+    const id = view.getUint16(pos, true);
+    const dataSize = view.getUint16(pos + 2, true);
+    if (id === 0x0001) {
+      let field = pos + 4;
+      if (entry.size === 0xffffffff) {
+        entry.size = getUint64(view, field);
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = getUint64(view, field);
+        field += 8;
+      }
+      if (entry.localHeaderOffset === 0xffffffff) {
+        entry.localHeaderOffset = getUint64(view, field);
+      }
+      return;
+    }
+    pos += 4 + dataSize;
+  }
+};
+
+/**
+ * 打开 ZIP 文件并读取文件列表（只读取中央目录）
+ * @param {File|Blob} file
+ * @returns {Promise<{file: Blob, entries: Array<Object>}>} entries: { name, method, size, compressedSize, localHeaderOffset }
+ */
+export const openZip = async (file) => {
+  const { count, size, offset } = await locateCentralDirectory(file);
+  const directory = await readBytes(file, offset, offset + size);
+  const view = new DataView(directory.buffer);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  let pos = 0;
+  for (let i = 0; i < count && pos + 46 <= directory.length; i++) {
+    if (view.getUint32(pos, true) !== SIG_CENTRAL) throw new Error('ZIP 中央目录损坏');
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const entry = {
+      name: decoder.decode(directory.subarray(pos + 46, pos + 46 + nameLength)),
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      localHeaderOffset: view.getUint32(pos + 42, true),
+    };
+    applyZip64Extra(view, pos + 46 + nameLength, extraLength, entry);
+    if (!entry.name.endsWith('/')) entries.push(entry);
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { file, entries };
+};
+
+// 文件数据紧跟在本地文件头之后；本地头的扩展字段长度可能与中央目录不同，需要单独读取
+const getDataRange = async (zip, entry) => {
+  const header = await readBytes(zip.file, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+  const view = new DataView(header.buffer);
+  if (view.getUint32(0, true) !== SIG_LOCAL) throw new Error(`ZIP 文件头损坏: ${entry.name}`);
+  const start = entry.localHeaderOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+  return { start, end: start + entry.compressedSize };
+};
+
+/**
+ * 读取条目为 Blob；未压缩的条目直接切片，不复制数据
+ * @param {{file: Blob}} zip
+ * @param {Object} entry
+ * @param {string} [type] - MIME 类型，默认按扩展名猜测
+ * @returns {Promise<Blob>}
+ */
+export const readZipEntryBlob = async (zip, entry, type = guessMimeType(entry.name)) => {
+  const { start, end } = await getDataRange(zip, entry);
+  const raw = zip.file.slice(start, end, type);
+  if (entry.method === METHOD_STORED) return raw;
+  if (entry.method !== METHOD_DEFLATE) throw new Error(`不支持的压缩方式 (${entry.method}): ${entry.name}`);
+  const stream = raw.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const blob = await new Response(stream).blob();
+  return blob.type === type ? blob : new Blob([blob], { type });
+};
+
+/**
+ * 读取条目为文本（UTF-8）
+ * @param {{file: Blob}} zip
+ * @param {Object} entry
+ * @returns {Promise<string>}
+ */
+export const readZipEntryText = async (zip, entry) => (await readZipEntryBlob(zip, entry, 'text/plain')).text();